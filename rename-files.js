@@ -2,20 +2,178 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+const zlib = require('zlib');
+const { finished } = require('stream');
+const { promisify } = require('util');
+
+const waitForStream = promisify(finished);
+
+// Default name of the subdirectory originals are backed up into
+const DEFAULT_BACKUP_DIR = 'lab scans';
+
+// Per-roll / project / user defaults, looked up in the roll directory, its parents and the home directory
+const CONFIG_FILENAME = '.photorenamerc';
+
+// Largest range a single skip entry such as "10-15" may expand to
+const MAX_SKIP_RANGE = 10000;
+
+// Filename template reproducing the classic {directoryName}_NN{letterSuffix}.{extension} names
+const DEFAULT_TEMPLATE = '{dir}_{index}{suffix}{ext}';
+
+// Ways of dealing with a planned name that is already taken: refuse the run, add "-1", "-2"...,
+// leave the file untouched, or replace the existing file
+const COLLISION_POLICIES = ['error', 'suffix', 'skip', 'overwrite'];
+
+// How originals are kept in lab scans: a full copy, a hardlink to the same data, a copy-on-write clone
+// (a plain copy where the filesystem can't clone) or no backup at all, relying on the manifest to rename back
+const BACKUP_MODES = ['copy', 'hardlink', 'reflink', 'none'];
+
+// Files backed up and renamed at the same time unless told otherwise; enough to keep a disk busy
+// while another file waits on it, without thrashing a single drive
+const DEFAULT_CONCURRENCY = 4;
+
+// How long a roll in a watched inbox must stay unchanged before it is renamed, and how often the inbox is checked
+const DEFAULT_SETTLE_TIME = 60000;
+const DEFAULT_POLL_INTERVAL = 5000;
+
+// Formats originals can be bundled into instead of a loose lab scans folder, e.g. "lab-scans.zip"
+const BACKUP_ARCHIVE_FORMATS = ['zip', 'tar.gz'];
+
+// Filename patterns of lab scanner exports, matched against the name without its extension; the first group is the
+// frame number. Noritsu: 8-digit order number then the frame (000123450012.jpg), Frontier: R<roll>-<order>-<frame>
+const LAB_FRAME_PATTERNS = {
+    noritsu: /^\d{8}(\d{4})$/,
+    frontier: /^R\d+-\d+-(\d+)/i
+};
+
+// Hidden so it is never picked up as a frame by scanAndSortFiles
+const MANIFEST_FILENAME = '.rename-manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Write-ahead journal of the run in progress, updated before every copy and rename and removed when
+// the run completes; if it is still there, the previous run was interrupted
+const JOURNAL_FILENAME = '.rename-journal.json';
+const JOURNAL_VERSION = 1;
+
+/**
+ * Thrown for invalid command line usage; the CLI prints the message with a pointer to --help
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Thrown when a roll is left alone before anything changed: the directory is invalid or was already renamed
+ */
+class RefusedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RefusedError';
+    }
+}
+
+/**
+ * Thrown when a skip number list can't be parsed
+ */
+class SkipNumbersError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SkipNumbersError';
+    }
+}
+
+/**
+ * Thrown when a filename template is invalid or would produce unusable or duplicate names
+ */
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+/**
+ * Thrown when planned names collide with existing files, each other or backups and the policy can't resolve it
+ */
+class CollisionError extends Error {
+    constructor(message, collisions = []) {
+        super(message);
+        this.name = 'CollisionError';
+        this.collisions = collisions;
+    }
+}
+
+/**
+ * Thrown when a mapping file can't be read or doesn't match the files in the roll
+ */
+class MappingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MappingError';
+    }
+}
+
+/**
+ * Thrown when frame numbers can't be read from the lab's filenames, or the pattern for them is invalid
+ */
+class FrameNumberError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FrameNumberError';
+    }
+}
+
+/**
+ * Thrown when a roll holds the journal of a run that was interrupted and neither resume nor rollback was asked for
+ */
+class InterruptedRunError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InterruptedRunError';
+    }
+}
+
+/**
+ * Thrown when a .photorenamerc file can't be parsed or holds invalid settings
+ */
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+// TIFF/EXIF tags read by readExifMetadata
+const EXIF_TAGS = {
+    MAKE: 0x010f,
+    MODEL: 0x0110,
+    EXIF_IFD_POINTER: 0x8769,
+    DATE_TIME_ORIGINAL: 0x9003,
+    SUB_SEC_TIME_ORIGINAL: 0x9291
+};
+const EXIF_ASCII_TYPE = 2;
+// Guards against corrupt headers sending the parser off into the image data
+const EXIF_MAX_IFD_ENTRIES = 1000;
 
 /**
  * Validates that the given path exists and is a directory
  * @param {string} directoryPath - Path to validate
- * @throws {Error} If path doesn't exist or is not a directory
+ * @throws {RefusedError} If path doesn't exist or is not a directory
  */
 function validateDirectory(directoryPath) {
     if (!fs.existsSync(directoryPath)) {
-        throw new Error(`Directory does not exist: ${directoryPath}`);
+        throw new RefusedError(`Directory does not exist: ${directoryPath}`);
     }
 
     const stats = fs.statSync(directoryPath);
     if (!stats.isDirectory()) {
-        throw new Error(`Path is not a directory: ${directoryPath}`);
+        throw new RefusedError(`Path is not a directory: ${directoryPath}`);
     }
 }
 
@@ -23,69 +181,465 @@ function validateDirectory(directoryPath) {
  * Checks if photos have already been renamed by looking for the expected pattern
  * @param {string} directoryPath - Directory to check
  * @param {string} directoryName - Name of the directory for pattern matching
- * @throws {Error} If files appear to already be renamed
+ * @param {string} [backupDirName] - Name of the backup subdirectory
+ * @throws {RefusedError} If files appear to already be renamed
  */
-function checkForAlreadyRenamedFiles(directoryPath, directoryName) {
+function checkForAlreadyRenamedFiles(directoryPath, directoryName, backupDirName = DEFAULT_BACKUP_DIR) {
     const existingFiles = fs.readdirSync(directoryPath).filter(file => {
         const filePath = path.join(directoryPath, file);
         const stat = fs.statSync(filePath);
         return stat.isFile() && file.startsWith(`${directoryName}_`) && /\d+/.test(file);
     });
     
-    const labScansDir = path.join(directoryPath, 'lab scans');
-    if (existingFiles.length > 0 && fs.existsSync(labScansDir)) {
-        throw new Error("It seems you've already renamed these photos. Check again!");
+    const labScansDir = path.join(directoryPath, backupDirName);
+    const manifest = readManifest(directoryPath);
+    // The manifest also catches runs whose template didn't use the {dir}_ prefix; a run where every file failed
+    // left the roll as it was
+    if ((existingFiles.length > 0 && fs.existsSync(labScansDir)) || (manifest && manifest.runs.some(run => run.files.length > 0))) {
+        throw new RefusedError("It seems you've already renamed these photos. Check again!");
     }
 }
 
 /**
  * Creates or ensures the lab scans directory exists
  * @param {string} directoryPath - Parent directory path
+ * @param {string} [backupDirName] - Name of the backup subdirectory
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
  * @returns {string} Path to the lab scans directory
  */
-function createLabScansDirectory(directoryPath) {
-    const labScansDir = path.join(directoryPath, 'lab scans');
+function createLabScansDirectory(directoryPath, backupDirName = DEFAULT_BACKUP_DIR, logger = console) {
+    const labScansDir = path.join(directoryPath, backupDirName);
     
     if (!fs.existsSync(labScansDir)) {
         fs.mkdirSync(labScansDir);
-        console.log(`Created subdirectory: ${labScansDir}`);
+        logger.log(`Created subdirectory: ${labScansDir}`);
     } else {
-        console.log(`Using existing subdirectory: ${labScansDir}`);
+        logger.log(`Using existing subdirectory: ${labScansDir}`);
     }
     
     return labScansDir;
 }
 
 /**
- * Scans directory for files and returns file information sorted alphabetically
+ * Parses the TIFF structure that holds EXIF data (used by both JPEG APP1 segments and TIFF-based files)
+ * @param {Function} read - Reads (offset, length) bytes relative to the start of the TIFF header
+ * @returns {Object} Object with make, model, dateTimeOriginal and subSecTimeOriginal strings (or null)
+ */
+function parseTiffMetadata(read) {
+    const header = read(0, 8);
+    const littleEndian = header.toString('ascii', 0, 2) === 'II';
+    if (!littleEndian && header.toString('ascii', 0, 2) !== 'MM') {
+        throw new Error('Not a TIFF header');
+    }
+    const u16 = (buffer, offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const u32 = (buffer, offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+    
+    const readIfd = (ifdOffset) => {
+        const count = u16(read(ifdOffset, 2), 0);
+        if (count > EXIF_MAX_IFD_ENTRIES) {
+            throw new Error('Corrupt IFD');
+        }
+        const entries = read(ifdOffset + 2, count * 12);
+        const values = new Map();
+        
+        for (let i = 0; i < count; i++) {
+            const entryOffset = i * 12;
+            const tag = u16(entries, entryOffset);
+            const type = u16(entries, entryOffset + 2);
+            const valueCount = u32(entries, entryOffset + 4);
+            
+            if (type === EXIF_ASCII_TYPE) {
+                // Strings of up to 4 bytes are stored inline in the entry itself
+                const bytes = valueCount <= 4
+                    ? entries.subarray(entryOffset + 8, entryOffset + 8 + valueCount)
+                    : read(u32(entries, entryOffset + 8), valueCount);
+                values.set(tag, bytes.toString('ascii').replace(/\0.*$/, '').trim());
+            } else {
+                values.set(tag, u32(entries, entryOffset + 8));
+            }
+        }
+        
+        return values;
+    };
+    
+    const ifd0 = readIfd(u32(header, 4));
+    const exifIfd = ifd0.has(EXIF_TAGS.EXIF_IFD_POINTER) ? readIfd(ifd0.get(EXIF_TAGS.EXIF_IFD_POINTER)) : new Map();
+    
+    return {
+        make: ifd0.get(EXIF_TAGS.MAKE) || null,
+        model: ifd0.get(EXIF_TAGS.MODEL) || null,
+        dateTimeOriginal: exifIfd.get(EXIF_TAGS.DATE_TIME_ORIGINAL) || null,
+        subSecTimeOriginal: exifIfd.get(EXIF_TAGS.SUB_SEC_TIME_ORIGINAL) || null
+    };
+}
+
+/**
+ * Converts EXIF DateTimeOriginal and SubSecTimeOriginal into a sortable timestamp
+ * EXIF dates carry no time zone, so they are treated as UTC to keep the result independent of the machine's zone
+ * @param {string} dateTimeOriginal - Date in "YYYY:MM:DD HH:MM:SS" format
+ * @param {string} [subSecTimeOriginal] - Fractional seconds digits, e.g. "25" for .25s
+ * @returns {number|null} Milliseconds since the epoch, or null if the date can't be parsed
+ */
+function parseExifDate(dateTimeOriginal, subSecTimeOriginal) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(dateTimeOriginal || '');
+    if (!match) {
+        return null;
+    }
+    
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+    const subSecDigits = /^\d+/.exec(subSecTimeOriginal || '');
+    const milliseconds = subSecDigits ? Math.floor(Number(`0.${subSecDigits[0]}`) * 1000) : 0;
+    
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds);
+}
+
+/**
+ * Reads EXIF metadata from a JPEG or TIFF-based (TIFF, DNG and most raw formats) file
+ * Only the header bytes that are needed are read, so large scans stay cheap
+ * @param {string} filePath - File to read
+ * @returns {Object|null} Object with make, model and captureTime (ms), or null if the file has no readable EXIF data
+ */
+function readExifMetadata(filePath) {
+    let fd;
+    
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const readAt = (position, length) => {
+            const buffer = Buffer.alloc(length);
+            const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+            if (bytesRead < length) {
+                throw new Error('Unexpected end of file');
+            }
+            return buffer;
+        };
+        
+        const signature = readAt(0, 4);
+        let tiffStart = null;
+        
+        if (signature[0] === 0xff && signature[1] === 0xd8) {
+            // JPEG: walk the marker segments looking for an APP1 "Exif" segment
+            let position = 2;
+            while (tiffStart === null) {
+                const segment = readAt(position, 4);
+                const marker = segment[1];
+                if (segment[0] !== 0xff || marker === 0xda || marker === 0xd9) {
+                    break; // Start of scan or end of image: no EXIF data
+                }
+                const length = segment.readUInt16BE(2);
+                if (marker === 0xe1 && readAt(position + 4, 6).toString('binary') === 'Exif\0\0') {
+                    tiffStart = position + 10;
+                }
+                position += 2 + length;
+            }
+        } else if (['II*\0', 'MM\0*'].includes(signature.toString('binary'))) {
+            tiffStart = 0;
+        }
+        
+        if (tiffStart === null) {
+            return null;
+        }
+        
+        const tags = parseTiffMetadata((offset, length) => readAt(tiffStart + offset, length));
+        return {
+            make: tags.make,
+            model: tags.model,
+            captureTime: parseExifDate(tags.dateTimeOriginal, tags.subSecTimeOriginal)
+        };
+    } catch (error) {
+        return null;
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * Reads a file's EXIF metadata once and caches it on the file object
+ * @param {Object} file - File object from scanAndSortFiles
+ * @returns {Object|null} Metadata from readExifMetadata
+ */
+function getFileMetadata(file) {
+    if (file.exif === undefined) {
+        file.exif = readExifMetadata(file.path);
+    }
+    return file.exif;
+}
+
+/**
+ * Sorts files by EXIF capture time; files without a capture time follow, sorted by filename
+ * @param {Array} fileStats - Array of file objects
+ * @returns {Array} The same array, sorted
+ */
+function sortByCaptureTime(fileStats) {
+    for (const file of fileStats) {
+        const metadata = getFileMetadata(file);
+        file.captureTime = metadata ? metadata.captureTime : null;
+    }
+    
+    return fileStats.sort((a, b) => {
+        if (a.captureTime !== null && b.captureTime !== null && a.captureTime !== b.captureTime) {
+            return a.captureTime - b.captureTime;
+        }
+        if ((a.captureTime === null) !== (b.captureTime === null)) {
+            return a.captureTime === null ? 1 : -1;
+        }
+        return a.name.localeCompare(b.name);
+    });
+}
+
+/**
+ * Builds a comparator on a numeric file property, falling back to filename for ties
+ * @param {string} property - File object property to compare
+ * @returns {Function} Comparator function
+ */
+function compareByProperty(property) {
+    return (a, b) => (a[property] - b[property]) || a.name.localeCompare(b.name);
+}
+
+// Available orderings for scanAndSortFiles, with the description used in log output
+const SORT_ORDERS = {
+    name: {
+        description: 'alphabetically',
+        sort: fileStats => fileStats.sort((a, b) => a.name.localeCompare(b.name))
+    },
+    natural: {
+        description: 'in natural order (img2 before img10)',
+        sort: fileStats => fileStats.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    },
+    exif: {
+        description: 'by EXIF capture time',
+        sort: sortByCaptureTime
+    },
+    mtime: {
+        description: 'by modification time',
+        sort: fileStats => fileStats.sort(compareByProperty('mtime'))
+    },
+    birthtime: {
+        description: 'by creation time',
+        sort: fileStats => fileStats.sort(compareByProperty('birthtime'))
+    },
+    size: {
+        description: 'by file size',
+        sort: fileStats => fileStats.sort(compareByProperty('size'))
+    }
+};
+
+/**
+ * Looks up a sort order by name
+ * @param {string} [sortOrder] - Name of the sort order, defaults to "name"
+ * @returns {Object} Sort order with description and sort function
+ * @throws {Error} If the sort order is unknown
+ */
+function getSortOrder(sortOrder = 'name') {
+    if (!Object.prototype.hasOwnProperty.call(SORT_ORDERS, sortOrder)) {
+        throw new Error(`Unknown sort order "${sortOrder}". Use one of: ${Object.keys(SORT_ORDERS).join(', ')}`);
+    }
+    return SORT_ORDERS[sortOrder];
+}
+
+/**
+ * Converts a filename glob into a case-insensitive regular expression
+ * Supports * (any run of characters), ? (one character), [abc] / [!abc] classes and {jpg,tif} alternatives
+ * @param {string} glob - Glob pattern, e.g. "*.{jpg,tif}"
+ * @returns {RegExp} Expression matching whole filenames
+ * @throws {Error} If the glob has an unclosed { or a class such as [z-a] that matches nothing
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let braceDepth = 0;
+    
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+            source += `[${body}]`;
+            i = end;
+        } else if (char === '{') {
+            braceDepth++;
+            source += '(?:';
+        } else if (char === '}' && braceDepth > 0) {
+            braceDepth--;
+            source += ')';
+        } else if (char === ',' && braceDepth > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    
+    if (braceDepth > 0) {
+        throw new Error(`Invalid glob "${glob}": { without a closing }`);
+    }
+    try {
+        return new RegExp(`^${source}$`, 'i');
+    } catch (error) {
+        // The engine's message quotes the expression the glob became; the reason after it is what matters
+        throw new Error(`Invalid glob "${glob}": ${error.message.split(': ').pop()}`);
+    }
+}
+
+/**
+ * Splits a glob list such as "*.jpg,*.{tif,tiff}" into patterns; commas inside braces are kept
+ * @param {string|string[]} [globs] - Comma-separated list or array of globs
+ * @returns {string[]} Individual glob patterns
+ */
+function parseGlobList(globs) {
+    if (!globs) {
+        return [];
+    }
+    if (Array.isArray(globs)) {
+        return globs.filter(Boolean);
+    }
+    
+    return (globs.match(/(?:\{[^}]*\}|[^,])+/g) || []).map(glob => glob.trim()).filter(Boolean);
+}
+
+/**
+ * Compiles a glob list into patterns for the scan filters
+ * @param {string|string[]} [globs] - Comma-separated list or array of globs
+ * @returns {Array} Patterns as { glob, regExp }
+ * @throws {Error} If one of the globs is invalid
+ */
+function parseGlobs(globs) {
+    return parseGlobList(globs).map(glob => ({ glob, regExp: globToRegExp(glob) }));
+}
+
+/**
+ * Detects image files by their leading bytes, whatever their extension says
+ * @param {string} filePath - File to inspect
+ * @returns {string|null} "jpeg", "tiff" (which includes DNG), "png" or "heic", or null for anything else
+ */
+function detectImageType(filePath) {
+    const header = Buffer.alloc(12);
+    let bytesRead;
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    
+    if (bytesRead >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+        return 'jpeg';
+    }
+    if (bytesRead >= 4) {
+        const magic = header.toString('latin1', 0, 4);
+        if (magic === 'II*\0' || magic === 'MM\0*') {
+            return 'tiff';
+        }
+        if (magic === '\x89PNG') {
+            return 'png';
+        }
+    }
+    if (bytesRead >= 12 && header.toString('latin1', 4, 8) === 'ftyp' &&
+        ['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(header.toString('latin1', 8, 12))) {
+        return 'heic';
+    }
+    
+    return null;
+}
+
+/**
+ * Works out why a file should be left out of the roll, if at all
+ * @param {string} name - Filename
+ * @param {string} filePath - Full path, read when only images are wanted
+ * @param {Object} filters - Include and exclude expressions and the imagesOnly flag
+ * @returns {string|null} Reason the file is excluded, or null to keep it
+ */
+function getExclusionReason(name, filePath, filters) {
+    const { include, exclude, imagesOnly } = filters;
+    
+    if (include.length > 0 && !include.some(pattern => pattern.regExp.test(name))) {
+        return 'not matched by include patterns';
+    }
+    const excludedBy = exclude.find(pattern => pattern.regExp.test(name));
+    if (excludedBy) {
+        return `matched exclude pattern ${excludedBy.glob}`;
+    }
+    if (imagesOnly && !detectImageType(filePath)) {
+        return 'not an image';
+    }
+    
+    return null;
+}
+
+/**
+ * Scans directory for files and returns file information sorted by the requested order
  * @param {string} directoryPath - Directory to scan
- * @returns {Array} Array of file objects with name, path, and extension
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.sort] - Sort order: one of the SORT_ORDERS keys, defaults to "name" (alphabetical)
+ * @param {boolean} [options.reverse] - Reverse the chosen order, e.g. for rolls scanned from the end of the strip
+ * @param {string|string[]} [options.include] - Only files matching one of these globs are renamed
+ * @param {string|string[]} [options.exclude] - Files matching any of these globs are left alone
+ * @param {boolean} [options.imagesOnly] - Only rename JPEG, TIFF/DNG, PNG and HEIC files, detected by content
+ * @param {boolean} [options.groupSidecars] - With imagesOnly, keep the XMP and other companions of the images kept
+ * @param {string[]} [options.ignore] - Names that are never part of the roll, such as backup archives
+ * @returns {Object} Object with the sorted file objects (name, path, extension, size, mtime, birthtime)
+ *                   and the excluded files as { name, reason }
  */
-function scanAndSortFiles(directoryPath) {
+function scanAndSortFiles(directoryPath, options = {}) {
+    const filters = {
+        include: parseGlobs(options.include),
+        exclude: parseGlobs(options.exclude),
+        imagesOnly: Boolean(options.imagesOnly)
+    };
+    
     // Read all files in the directory (excluding the 'lab scans' subdirectory)
     const files = fs.readdirSync(directoryPath).filter(file => {
         const filePath = path.join(directoryPath, file);
         const stat = fs.statSync(filePath);
-        return stat.isFile() && file !== 'lab scans';
+        return stat.isFile() && file !== 'lab scans' && !(options.ignore || []).includes(file);
     });
     
     // Filter out hidden files and prepare file info
-    const fileStats = [];
+    const kept = [];
+    let excluded = [];
     for (const file of files) {
         if (!file.startsWith('.')) {
-            const filePath = path.join(directoryPath, file);
-            fileStats.push({
-                name: file,
-                path: filePath,
-                extension: path.extname(file)
-            });
+            const reason = getExclusionReason(file, path.join(directoryPath, file), filters);
+            if (reason) {
+                excluded.push({ name: file, reason });
+            } else {
+                kept.push(file);
+            }
         }
     }
+    
+    // Sidecars aren't images, but they belong to the frame of the image they describe
+    if (filters.imagesOnly && options.groupSidecars) {
+        const imageKeys = new Set(kept.map(file => getFrameMember(file).key));
+        const companions = excluded.filter(({ name, reason }) => reason === 'not an image' && imageKeys.has(getFrameMember(name).key));
+        kept.push(...companions.map(({ name }) => name));
+        excluded = excluded.filter(entry => !companions.includes(entry));
+    }
+    
+    const fileStats = kept.map(file => {
+        const filePath = path.join(directoryPath, file);
+        const stat = fs.statSync(filePath);
+        return {
+            name: file,
+            path: filePath,
+            extension: path.extname(file),
+            size: stat.size,
+            mtime: stat.mtimeMs,
+            birthtime: stat.birthtimeMs
+        };
+    });
 
-    // Sort files alphabetically by filename
-    fileStats.sort((a, b) => a.name.localeCompare(b.name));
+    getSortOrder(options.sort).sort(fileStats);
+    excluded.sort((a, b) => a.name.localeCompare(b.name));
     
-    return fileStats;
+    return { files: options.reverse ? fileStats.reverse() : fileStats, excluded };
 }
 
 /**
@@ -94,25 +648,47 @@ function scanAndSortFiles(directoryPath) {
  * @param {string} directoryName - Name of the directory
  * @param {number[]} skipNumbers - Numbers to skip
  * @param {string} letterSuffix - Letter suffix to append
+ * @param {string} [sortOrder] - Name of the sort order used
+ * @param {boolean} [reverse] - Whether the sort order was reversed
+ * @param {string} [framesFrom] - Lab preset or pattern the frame numbers are read from, if any
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
  */
-function logProcessingInfo(fileStats, directoryName, skipNumbers, letterSuffix) {
-    console.log(`Found ${fileStats.length} files to rename and move in directory: ${directoryName}`);
-    console.log('\nFiles sorted alphabetically:');
+function logProcessingInfo(fileStats, directoryName, skipNumbers, letterSuffix, sortOrder, reverse, framesFrom, logger = console) {
+    logger.log(`Found ${fileStats.length} files to rename and move in directory: ${directoryName}`);
+    logger.log(`\nFiles sorted ${getSortOrder(sortOrder).description}${reverse ? ', reversed' : ''}:`);
     fileStats.forEach((file, index) => {
-        console.log(`${index + 1}. ${file.name}`);
+        logger.log(`${index + 1}. ${file.name}`);
     });
 
+    if (framesFrom) {
+        logger.log(`Frame numbers read from the filenames (${framesFrom})`);
+    }
+    
     // Log skip numbers if provided
     if (skipNumbers.length > 0) {
-        console.log(`Skipping numbers: ${skipNumbers.join(', ')}`);
+        logger.log(`Skipping numbers: ${skipNumbers.join(', ')}`);
     }
     
     // Log letter suffix if provided
     if (letterSuffix) {
-        console.log(`Letter suffix: "${letterSuffix}"`);
+        logger.log(`Letter suffix: "${letterSuffix}"`);
+    }
+}
+
+/**
+ * Lists the files that were left out of the roll by the include/exclude/images-only filters
+ * @param {Array} excluded - Excluded files as { name, reason }
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
+ */
+function logExcludedFiles(excluded, logger = console) {
+    if (excluded.length === 0) {
+        return;
     }
     
-    console.log('\nRenaming files and moving originals...');
+    logger.log(`\nLeft untouched (${excluded.length} excluded files):`);
+    excluded.forEach(({ name, reason }) => {
+        logger.log(`  ${name} (${reason})`);
+    });
 }
 
 /**
@@ -128,6 +704,16 @@ function getNextAvailableNumber(currentNumber, skipNumbers) {
     return currentNumber;
 }
 
+/**
+ * Formats a frame number as the index string used in filenames
+ * Frame 0 stays "0", as it is distinct from the "_00" lead-in index; other frames are padded to two digits
+ * @param {number} frame - Frame number
+ * @returns {string} Index string such as "0", "07" or "112"
+ */
+function formatFrameIndex(frame) {
+    return frame === 0 ? '0' : String(frame).padStart(2, '0');
+}
+
 /**
  * Calculates the index string for a file based on starting index and position
  * @param {number} fileIndex - Position of file in the array (0-based)
@@ -150,7 +736,7 @@ function calculateFileIndex(fileIndex, startingIndex, skipNumbers, state) {
         } else {
             // For fourth file and beyond, start from 1 and apply skip logic
             const actualNumber = getNextAvailableNumber(state.currentNumber, skipNumbers);
-            index = String(actualNumber).padStart(2, '0');
+            index = formatFrameIndex(actualNumber);
             state.currentNumber = actualNumber + 1;
         }
     } else if (startingIndex === "00") {
@@ -161,7 +747,7 @@ function calculateFileIndex(fileIndex, startingIndex, skipNumbers, state) {
         } else {
             // For third file and beyond, start from 1 and apply skip logic
             const actualNumber = getNextAvailableNumber(state.currentNumber, skipNumbers);
-            index = String(actualNumber).padStart(2, '0');
+            index = formatFrameIndex(actualNumber);
             state.currentNumber = actualNumber + 1;
         }
     } else if (startingIndex === "0") {
@@ -170,13 +756,13 @@ function calculateFileIndex(fileIndex, startingIndex, skipNumbers, state) {
         } else {
             // For second file and beyond, start from 1 and apply skip logic
             const actualNumber = getNextAvailableNumber(state.currentNumber, skipNumbers);
-            index = String(actualNumber).padStart(2, '0');
+            index = formatFrameIndex(actualNumber);
             state.currentNumber = actualNumber + 1;
         }
     } else {
         // Default behavior: start from 01 with skip logic
         const actualNumber = getNextAvailableNumber(state.currentNumber, skipNumbers);
-        index = String(actualNumber).padStart(2, '0');
+        index = formatFrameIndex(actualNumber);
         state.currentNumber = actualNumber + 1;
     }
     
@@ -184,169 +770,3794 @@ function calculateFileIndex(fileIndex, startingIndex, skipNumbers, state) {
 }
 
 /**
- * Processes a single file: renames it and moves original to lab scans directory
- * @param {Object} file - File object with name, path, and extension
- * @param {string} newFileName - New filename to use
- * @param {string} directoryPath - Parent directory path
- * @param {string} labScansDir - Lab scans directory path
- * @returns {Object} Processing result with original and renamed filenames
+ * Works out the frame a file belongs to and the extension it keeps when renamed
+ * XMP sidecars are matched both as "DSC0001.xmp" and as "DSC0001.ARW.xmp"
+ * @param {string} filename - Original filename
+ * @returns {Object} Object with the case-insensitive frame key and the member's extension
  */
-function processFile(file, newFileName, directoryPath, labScansDir) {
-    const newFilePath = path.join(directoryPath, newFileName);
-    const originalBackupPath = path.join(labScansDir, file.name);
+function getFrameMember(filename) {
+    const withoutSidecar = /\.xmp$/i.test(filename) ? filename.slice(0, -'.xmp'.length) : filename;
+    const baseName = withoutSidecar.slice(0, withoutSidecar.length - path.extname(withoutSidecar).length);
     
-    try {
-        // First, copy the original file to the lab scans directory
-        fs.copyFileSync(file.path, originalBackupPath);
-        // Then, rename the original file in place
-        fs.renameSync(file.path, newFilePath);
-        
-        console.log(`Renamed: ${file.name} → ${newFileName} (original moved to lab scans/${file.name})`);
-        
-        return {
-            original: file.name,
-            renamed: newFileName
-        };
-    } catch (error) {
-        console.error(`Error processing ${file.name}: ${error.message}`);
-        throw error;
-    }
+    return {
+        key: baseName.toLowerCase(),
+        extension: filename.slice(baseName.length)
+    };
 }
 
 /**
- * Logs the completion summary
- * @param {number} processedCount - Number of successfully processed files
- * @param {string} startingIndex - Starting index used
- * @param {number[]} skipNumbers - Numbers that were skipped
- * @param {string} letterSuffix - Letter suffix used
- * @param {string} directoryPath - Directory path
- * @param {string} labScansDir - Lab scans directory path
+ * Splits sorted files into frames; each frame takes a single index
+ * @param {Array} fileStats - Sorted array of file objects
+ * @param {boolean} groupSidecars - Group files sharing a basename (RAW, JPEG, XMP...) into one frame
+ * @returns {Array} Array of frames, each an array of { file, extension } members in sort order
  */
-function logCompletionSummary(processedCount, startingIndex, skipNumbers, letterSuffix, directoryPath, labScansDir) {
-    console.log(`\nProcessing complete! Successfully renamed ${processedCount} files.`);
-    let summaryMessage = '\nIndexing started from ' + startingIndex + ' and skipped numbers: ' + skipNumbers.join(', ');
-    if (letterSuffix) {
-        summaryMessage += ` with letter suffix: "${letterSuffix}"`;
+function groupIntoFrames(fileStats, groupSidecars) {
+    if (!groupSidecars) {
+        return fileStats.map(file => [{ file, extension: file.extension }]);
     }
-    console.log(summaryMessage);
-    console.log(`\nRenamed files are now in: ${directoryPath}`);
-    console.log(`\nOriginal files are preserved in: ${labScansDir}`);
-    console.log('\nIf you\'re happy with the results, you can:');
-    console.log('1. Delete the backup files in the "lab scans" directory, or');
-    console.log('2. Restore from the "lab scans" directory if you need to revert the changes');
+    
+    // Frames are ordered by the position of their first member
+    const frames = new Map();
+    for (const file of fileStats) {
+        const { key, extension } = getFrameMember(file.name);
+        if (!frames.has(key)) {
+            frames.set(key, []);
+        }
+        frames.get(key).push({ file, extension });
+    }
+    
+    return Array.from(frames.values());
 }
 
+// Tokens available in filename templates; "arg" describes the optional ":..." part
+const TEMPLATE_TOKENS = {
+    dir: { arg: null },
+    index: { arg: null },
+    suffix: { arg: null },
+    ext: { arg: null },
+    origname: { arg: null },
+    camera: { arg: null },
+    film: { arg: null },
+    roll: { arg: null },
+    date: { arg: /^(YYYY|YY|MM|DD|HH|mm|ss|[^A-Za-z{}\\\/])+$/ },
+    counter: { arg: /^[1-9]$/ }
+};
+
+// Tokens that give every frame a different value, at least one of which a template must use
+const UNIQUE_TEMPLATE_TOKENS = ['index', 'counter', 'origname'];
+
 /**
- * Parses command line arguments for skip numbers
- * @param {string} skipNumbersArg - Command line argument for skip numbers
- * @returns {number[]} Array of parsed skip numbers
+ * Parses a filename template such as "{dir}_{index}{suffix}{ext}" into literal and token parts
+ * @param {string} template - Template to parse
+ * @returns {Array} Parts: { literal } or { token, arg }
+ * @throws {TemplateError} If the template has unknown tokens, bad arguments, stray braces or can't produce unique names
  */
-function parseSkipNumbers(skipNumbersArg) {
-    let skipNumbers = [];
-    if (skipNumbersArg) {
-        try {
-            // Handle both "[10,11,22]" and "10,11,22" formats
-            const cleanArg = skipNumbersArg.replace(/[\[\]]/g, '').trim();
-            if (cleanArg) {
-                skipNumbers = cleanArg.split(',').map(num => {
-                    const parsed = parseInt(num.trim(), 10);
-                    if (isNaN(parsed)) {
-                        throw new Error(`Invalid number: ${num.trim()}`);
-                    }
-                    return parsed;
-                }).sort((a, b) => a - b); // Sort numbers for easier processing
-            }
-        } catch (error) {
-            console.error(`Error parsing skip numbers "${skipNumbersArg}": ${error.message}`);
-            console.error('Please use format like "[10,11,22]" or "10,11,22"');
-            process.exit(1);
+function parseTemplate(template) {
+    if (typeof template !== 'string' || template === '') {
+        throw new TemplateError('Template must be a non-empty string');
+    }
+    
+    const parts = [];
+    const tokenPattern = /\{([a-z]+)(?::([^{}]*))?\}/g;
+    let lastIndex = 0;
+    let match;
+    
+    const addLiteral = literal => {
+        if (/[{}]/.test(literal)) {
+            throw new TemplateError(`Unmatched brace in template "${template}"`);
+        }
+        if (literal) {
+            parts.push({ literal });
+        }
+    };
+    
+    while ((match = tokenPattern.exec(template)) !== null) {
+        addLiteral(template.slice(lastIndex, match.index));
+        lastIndex = tokenPattern.lastIndex;
+        
+        const [, token, arg] = match;
+        const definition = TEMPLATE_TOKENS[token];
+        if (!definition) {
+            throw new TemplateError(`Unknown token {${token}} in template. Available: ${Object.keys(TEMPLATE_TOKENS).map(name => `{${name}}`).join(', ')}`);
+        }
+        if (arg !== undefined && (!definition.arg || !definition.arg.test(arg))) {
+            throw new TemplateError(`Invalid argument "${arg}" for {${token}} in template`);
         }
+        parts.push({ token, arg });
+    }
+    addLiteral(template.slice(lastIndex));
+    
+    if (/[\\/]/.test(parts.filter(part => part.literal).map(part => part.literal).join(''))) {
+        throw new TemplateError('Template must not contain path separators');
     }
-    return skipNumbers;
+    if (!parts.some(part => UNIQUE_TEMPLATE_TOKENS.includes(part.token))) {
+        throw new TemplateError(`Template "${template}" would give every frame the same name. Use {index}, {counter} or {origname}`);
+    }
+    
+    return parts;
 }
 
 /**
- * Moves original files to a 'lab scans' subdirectory and places renamed files in the top level
- * Files are renamed to {directoryName}_NN{letterSuffix}.{extension} format
- * @param {string} directoryPath - Path to the directory containing files to rename
- * @param {string} [startingIndex] - Optional starting index: "x" for __X, "00" for _00, 0, 01..., "0" for 0, 01..., default for 01, 02...
- * @param {number[]} [skipNumbers] - Optional array of numbers to skip when naming files
- * @param {string} [letterSuffix] - Optional letter to append after the number (e.g., 'A' for _01A, _02A, etc.)
+ * Formats a date for the {date:FORMAT} template token
+ * @param {Date} date - Date to format
+ * @param {string} format - Format using YYYY, YY, MM, DD, HH, mm and ss
+ * @param {boolean} utc - Read the UTC fields (used for EXIF times, which are stored as UTC)
+ * @returns {string} Formatted date
  */
-async function renameFilesByAlphabeticalOrder(directoryPath, startingIndex, skipNumbers = [], letterSuffix = '') {
-    try {
-        // Validate directory and check for already renamed files
-        validateDirectory(directoryPath);
-        const directoryName = path.basename(directoryPath);
-        checkForAlreadyRenamedFiles(directoryPath, directoryName);
-        
-        // Create lab scans directory
-        const labScansDir = createLabScansDirectory(directoryPath);
-        
-        // Scan and sort files
-        const fileStats = scanAndSortFiles(directoryPath);
-        
-        if (fileStats.length === 0) {
-            console.log('No files found in the directory to rename.');
-            return;
+function formatTemplateDate(date, format, utc) {
+    const get = field => (utc ? date[`getUTC${field}`]() : date[`get${field}`]());
+    const pad = value => String(value).padStart(2, '0');
+    const fields = {
+        YYYY: String(get('FullYear')),
+        YY: String(get('FullYear')).slice(-2),
+        MM: pad(get('Month') + 1),
+        DD: pad(get('Date')),
+        HH: pad(get('Hours')),
+        mm: pad(get('Minutes')),
+        ss: pad(get('Seconds'))
+    };
+    
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, field => fields[field]);
+}
+
+/**
+ * Makes metadata values such as camera models safe to use in a filename
+ * @param {string} value - Raw value
+ * @returns {string} Value with spaces collapsed to "-" and filesystem-reserved characters removed
+ */
+function sanitizeForFilename(value) {
+    return value.trim().replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Renders a parsed template for one member of a frame
+ * @param {Array} parts - Parts from parseTemplate
+ * @param {Object} values - Values for the frame: dir, index, suffix, counter, film, roll and the frame members
+ * @param {Object} member - The { file, extension } member being named
+ * @returns {string} New filename
+ * @throws {TemplateError} If {film} is used without a film name
+ */
+function renderTemplate(parts, values, member) {
+    // Metadata comes from the first member that has any (e.g. the JPEG rather than its XMP sidecar)
+    const frameMetadata = () => {
+        const withMetadata = values.members.find(({ file }) => getFileMetadata(file));
+        return withMetadata ? getFileMetadata(withMetadata.file) : null;
+    };
+    
+    return parts.map(part => {
+        switch (part.token) {
+            case undefined: return part.literal;
+            case 'dir': return values.dir;
+            case 'index': return values.index;
+            case 'suffix': return values.suffix;
+            case 'ext': return member.extension;
+            case 'origname': return member.file.name.slice(0, member.file.name.length - member.extension.length);
+            case 'roll': return values.roll;
+            case 'counter': return String(values.counter).padStart(Number(part.arg || 1), '0');
+            case 'film': {
+                if (!values.film) {
+                    throw new TemplateError('Template uses {film} but no film name was given');
+                }
+                return sanitizeForFilename(values.film);
+            }
+            case 'camera': {
+                const metadata = frameMetadata();
+                const camera = metadata && (metadata.model || metadata.make);
+                return camera ? sanitizeForFilename(camera) : 'unknown-camera';
+            }
+            case 'date': {
+                const metadata = frameMetadata();
+                const format = part.arg || 'YYYY-MM-DD';
+                if (metadata && metadata.captureTime !== null) {
+                    return formatTemplateDate(new Date(metadata.captureTime), format, true);
+                }
+                // No capture time: fall back to the file's modification time
+                return formatTemplateDate(new Date(values.members[0].file.mtime), format, false);
+            }
+            default: return '';
+        }
+    }).join('');
+}
+
+/**
+ * Checks rendered filenames before anything is touched
+ * @param {Array} plan - Plan entries with file and newFileName
+ * @throws {TemplateError} If a name is unusable or two files would get the same name
+ */
+function validateRenderedNames(plan) {
+    const owners = new Map();
+    
+    for (const { file, newFileName } of plan) {
+        if (!newFileName || newFileName.startsWith('.') || /[\\/]/.test(newFileName)) {
+            throw new TemplateError(`Template produced an unusable filename "${newFileName}" for ${file.name}`);
+        }
+        if (owners.has(newFileName)) {
+            throw new TemplateError(`Template gives ${owners.get(newFileName)} and ${file.name} the same name "${newFileName}"`);
+        }
+        owners.set(newFileName, file.name);
+    }
+}
+
+/**
+ * Splits one CSV line into fields, honouring double-quoted fields (for filenames containing commas)
+ * @param {string} line - CSV line
+ * @returns {string[]} Trimmed fields
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    const fieldPattern = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(?:,|$)/g;
+    let match;
+    
+    while (fieldPattern.lastIndex < line.length && (match = fieldPattern.exec(line)) !== null) {
+        fields.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim());
+        if (match[0] === '') {
+            break;
+        }
+    }
+    
+    return fields;
+}
+
+/**
+ * Loads a manual frame mapping from a JSON or CSV file, or takes an already parsed object
+ * JSON: { "scan_0003.jpg": 7, "scan_0004.jpg": "cover.jpg" }
+ * CSV: one "original,target" pair per line; an optional "original,..." header line and # comments are ignored
+ * Numeric targets are frame numbers, anything else is a full new filename
+ * @param {string|Object} mapping - Path to a .json/.csv file, or an object of original filename → target
+ * @returns {Map} Map of original filename → { frame } or { name }
+ * @throws {MappingError} If the file can't be read or an entry is invalid
+ */
+function loadMapping(mapping) {
+    let entries;
+    
+    if (typeof mapping === 'string') {
+        let content;
+        try {
+            content = fs.readFileSync(mapping, 'utf8');
+        } catch (error) {
+            throw new MappingError(`Could not read mapping file ${mapping}: ${error.message}`);
+        }
+        
+        if (path.extname(mapping).toLowerCase() === '.json') {
+            try {
+                entries = Object.entries(JSON.parse(content));
+            } catch (error) {
+                throw new MappingError(`Could not parse mapping file ${mapping}: ${error.message}`);
+            }
+        } else {
+            entries = content.split(/\r?\n/)
+                .filter(line => line.trim() && !line.trim().startsWith('#'))
+                .map(parseCsvLine)
+                .filter((fields, i) => !(i === 0 && /^(original|file(name)?)$/i.test(fields[0])));
+        }
+    } else {
+        entries = Object.entries(mapping || {});
+    }
+    
+    const result = new Map();
+    for (const [original, target] of entries) {
+        const value = typeof target === 'string' ? target.trim() : target;
+        if (!original || value === undefined || value === null || value === '') {
+            throw new MappingError(`Invalid mapping entry: ${JSON.stringify([original, target])}`);
+        }
+        if (result.has(original)) {
+            throw new MappingError(`${original} is listed more than once in the mapping`);
+        }
+        
+        if (typeof value === 'number' || /^\d+$/.test(value)) {
+            const frame = Number(value);
+            if (!Number.isInteger(frame) || frame < 0) {
+                throw new MappingError(`${original}: frame number must be a whole number, got ${value}`);
+            }
+            result.set(original, { frame });
+        } else if (typeof value === 'string') {
+            if (/[\\/]/.test(value) || value.startsWith('.')) {
+                throw new MappingError(`${original}: "${value}" is not a usable filename`);
+            }
+            result.set(original, { name: value });
+        } else {
+            throw new MappingError(`${original}: target must be a frame number or a filename`);
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Checks a mapping against the files found in the roll before anything is touched
+ * @param {Map} mapping - Mapping from loadMapping
+ * @param {Array} frames - Frames from groupIntoFrames
+ * @throws {MappingError} Listing every missing file and duplicate target found
+ */
+function validateMapping(mapping, frames) {
+    const problems = [];
+    const scannedNames = new Set();
+    const frameOwners = new Map();
+    const nameOwners = new Map();
+    
+    for (const members of frames) {
+        const frameNumbers = new Set();
+        for (const { file } of members) {
+            scannedNames.add(file.name);
+            const target = mapping.get(file.name);
+            if (target && target.frame !== undefined) {
+                frameNumbers.add(target.frame);
+            }
+        }
+        if (frameNumbers.size > 1) {
+            problems.push(`${members.map(({ file }) => file.name).join(', ')} form one frame but are mapped to different numbers`);
+        }
+        
+        // Members of the same frame may share a number; different frames may not
+        for (const frame of frameNumbers) {
+            const owner = members[0].file.name;
+            if (frameOwners.has(frame)) {
+                problems.push(`frame ${frame} is the target of both ${frameOwners.get(frame)} and ${owner}`);
+            } else {
+                frameOwners.set(frame, owner);
+            }
+        }
+    }
+    
+    for (const [original, target] of mapping) {
+        if (!scannedNames.has(original)) {
+            problems.push(`${original} is in the mapping but wasn't found in the roll`);
+        }
+        if (target.name !== undefined) {
+            if (nameOwners.has(target.name)) {
+                problems.push(`"${target.name}" is the target of both ${nameOwners.get(target.name)} and ${original}`);
+            } else {
+                nameOwners.set(target.name, original);
+            }
+        }
+    }
+    
+    if (problems.length > 0) {
+        throw new MappingError(`Mapping doesn't match the roll, no files were changed:\n  ${problems.join('\n  ')}`);
+    }
+}
+
+/**
+ * Gets the frame number an index string stands for
+ * @param {string} index - Index string such as "01", "0", "_00" or "__X"
+ * @returns {number|null} Frame number, or null for indexes without one (__X)
+ */
+function indexToFrame(index) {
+    const digits = index.match(/\d+/);
+    return digits ? Number(digits[0]) : null;
+}
+
+/**
+ * Finds the frames a roll already has, so late files can be numbered after them
+ * Frames come from the manifest and from files named like {dir}_NN, for rolls renamed before manifests existed
+ * @param {string} directoryPath - Roll directory
+ * @param {string} directoryName - Name of the directory, used as filename prefix
+ * @returns {Object} Object with the set of names that are already frames, the highest frame number (0 if none) and
+ *                   the number of frames, which is where the {counter} of new frames carries on from
+ */
+function findExistingFrames(directoryPath, directoryName) {
+    const framePattern = new RegExp(`^${directoryName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}_+(\\d+)`);
+    const names = new Set();
+    // Frames by the index part of their name, so the members of a frame and files listed twice count once
+    const indexes = new Set();
+    let highestFrame = 0;
+    
+    const manifest = readManifest(directoryPath);
+    (manifest ? manifest.runs : []).forEach(run => run.files.forEach(entry => {
+        names.add(entry.renamed);
+        if (entry.index) {
+            indexes.add(`_${entry.index}`);
+        }
+        if (typeof entry.frame === 'number') {
+            highestFrame = Math.max(highestFrame, entry.frame);
+        }
+    }));
+    
+    fs.readdirSync(directoryPath).forEach(name => {
+        const match = framePattern.exec(name);
+        if (match) {
+            names.add(name);
+            indexes.add(match[0].slice(directoryName.length));
+            highestFrame = Math.max(highestFrame, Number(match[1]));
+        }
+    });
+    
+    return { names, highestFrame, frameCount: indexes.size };
+}
+
+/**
+ * Gets the pattern frame numbers are read from
+ * @param {string} framesFrom - A LAB_FRAME_PATTERNS preset name, or a regular expression whose first group is the number
+ * @returns {RegExp} Pattern to match against filenames without their extension
+ * @throws {FrameNumberError} If the expression is invalid or has no group
+ */
+function getFramePattern(framesFrom) {
+    if (Object.prototype.hasOwnProperty.call(LAB_FRAME_PATTERNS, framesFrom)) {
+        return LAB_FRAME_PATTERNS[framesFrom];
+    }
+    
+    let pattern;
+    try {
+        pattern = new RegExp(framesFrom);
+    } catch (error) {
+        throw new FrameNumberError(`Invalid frame number pattern "${framesFrom}": ${error.message}. ` +
+            `Use a preset (${Object.keys(LAB_FRAME_PATTERNS).join(', ')}) or a regular expression`);
+    }
+    // An alternative that matches the empty string reveals how many groups the expression has
+    if (new RegExp(`${pattern.source}|`).exec('').length < 2) {
+        throw new FrameNumberError(`Frame number pattern "${framesFrom}" needs a group around the number, e.g. "_(\\d+)$"`);
+    }
+    return pattern;
+}
+
+/**
+ * Reads the frame number of every frame from its filename, so frames the lab dropped leave real gaps
+ * A frame's number comes from the first of its files that matches; frames numbered by the mapping are left out
+ * @param {Array} frames - Frames from groupIntoFrames
+ * @param {Map} mapping - Manual assignments from loadMapping
+ * @param {RegExp} pattern - Pattern from getFramePattern
+ * @returns {Array} Frame number for each frame, or null where the mapping decides
+ * @throws {FrameNumberError} Listing every file without a frame number and every number read twice
+ */
+function readLabFrameNumbers(frames, mapping, pattern) {
+    const problems = [];
+    const owners = new Map();
+    Array.from(mapping).forEach(([original, target]) => {
+        if (target.frame !== undefined) {
+            owners.set(target.frame, original);
+        }
+    });
+    
+    const numbers = frames.map(members => {
+        // A frame the mapping numbers needs no number of its own; members mapped to a full name say nothing
+        // about the frame, so the number is read from the rest
+        if (members.some(({ file }) => mapping.has(file.name) && mapping.get(file.name).frame !== undefined)) {
+            return null;
+        }
+        
+        const unmapped = members.filter(({ file }) => !mapping.has(file.name));
+        if (unmapped.length === 0) {
+            return null;
+        }
+        
+        const matches = unmapped
+            .map(({ file }) => pattern.exec(path.parse(file.name).name))
+            .filter(match => match && /^\d+$/.test(match[1] || ''));
+        const owner = unmapped[0].file.name;
+        if (matches.length === 0) {
+            problems.push(`${owner}: no frame number in the filename`);
+            return null;
+        }
+        
+        const number = Number(matches[0][1]);
+        if (owners.has(number)) {
+            problems.push(`frame ${number} is read from both ${owners.get(number)} and ${owner}`);
+        } else {
+            owners.set(number, owner);
+        }
+        return number;
+    });
+    
+    if (problems.length > 0) {
+        throw new FrameNumberError(`Couldn't number the roll from its filenames, no files were changed:\n  ${problems.join('\n  ')}\n` +
+            'Exclude files that aren\'t frames with --exclude, or assign them with a mapping file');
+    }
+    return numbers;
+}
+
+/**
+ * Builds the full old → new filename plan without touching the filesystem
+ * @param {Array} fileStats - Sorted array of file objects
+ * @param {string} directoryName - Name of the directory, used as filename prefix
+ * @param {string} startingIndex - Starting index option ("x", "00", "0", or default)
+ * @param {number[]} skipNumbers - Numbers to skip
+ * @param {string} letterSuffix - Letter suffix to append
+ * @param {Object} [options] - Optional settings
+ * @param {boolean} [options.groupSidecars] - Give companion files with the same basename one shared index
+ * @param {string} [options.template] - Filename template, defaults to DEFAULT_TEMPLATE
+ * @param {string} [options.film] - Value of the {film} token
+ * @param {string} [options.roll] - Value of the {roll} token, defaults to the directory name
+ * @param {Map} [options.mapping] - Manual assignments from loadMapping; listed files bypass calculateFileIndex
+ * @param {number} [options.firstNumber] - First number of the sequence, defaults to 1 (higher when appending to a roll)
+ * @param {number} [options.firstCounter] - {counter} of the first frame, defaults to 1 (higher when appending to a roll)
+ * @param {RegExp} [options.framePattern] - Read frame numbers from the filenames with this pattern instead of
+ *                                          counting; starting index, skip numbers and first number don't apply
+ * @returns {Array} Array of plan entries with the file object, its new filename, its index string and its frame
+ *                  number (null for names without one, such as __X or full names from the mapping)
+ * @throws {TemplateError} If the template is invalid or produces unusable or duplicate names
+ * @throws {MappingError} If the mapping lists missing files or duplicate targets
+ * @throws {FrameNumberError} If a frame number can't be read from a filename or is read twice
+ */
+function buildRenamePlan(fileStats, directoryName, startingIndex, skipNumbers, letterSuffix, options = {}) {
+    const {
+        groupSidecars = false,
+        template = DEFAULT_TEMPLATE,
+        film,
+        roll = directoryName,
+        mapping = new Map(),
+        firstNumber = 1,
+        firstCounter = 1,
+        framePattern = null
+    } = options;
+    const parts = parseTemplate(template);
+    const frames = groupIntoFrames(fileStats, groupSidecars);
+    validateMapping(mapping, frames);
+    const labFrameNumbers = framePattern ? readLabFrameNumbers(frames, mapping, framePattern) : null;
+    
+    // Numbers assigned by the mapping are taken out of the normal sequence
+    const mappedFrames = Array.from(mapping.values()).filter(target => target.frame !== undefined).map(target => target.frame);
+    const sequenceSkipNumbers = skipNumbers.concat(mappedFrames);
+    const state = { currentNumber: firstNumber };
+    let sequencePosition = 0;
+    const plan = [];
+    
+    frames.forEach((members, i) => {
+        const targets = members.map(({ file }) => mapping.get(file.name));
+        const mappedFrame = targets.find(target => target && target.frame !== undefined);
+        const needsIndex = targets.some(target => !target || target.name === undefined);
+        
+        let index = null;
+        if (mappedFrame) {
+            index = formatFrameIndex(mappedFrame.frame);
+        } else if (labFrameNumbers && needsIndex) {
+            index = formatFrameIndex(labFrameNumbers[i]);
+        } else if (needsIndex) {
+            index = calculateFileIndex(sequencePosition++, startingIndex, sequenceSkipNumbers, state);
+        }
+        
+        const values = { dir: directoryName, index, suffix: letterSuffix, counter: firstCounter + i, film, roll, members };
+        const frame = index !== null ? indexToFrame(index) : null;
+        members.forEach((member, m) => {
+            const target = targets[m];
+            const fullName = target && target.name !== undefined;
+            plan.push({
+                file: member.file,
+                newFileName: fullName ? target.name : renderTemplate(parts, values, member),
+                index: fullName ? null : index,
+                frame: fullName ? null : frame
+            });
+        });
+    });
+    
+    validateRenderedNames(plan);
+    
+    return plan;
+}
+
+/**
+ * Logs the planned renames for a dry run
+ * @param {Array} plan - Plan entries from buildRenamePlan
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
+ */
+function logDryRunPlan(plan, logger = console) {
+    logger.log('\nDry run - the following renames would be made:');
+    plan.forEach(({ file, newFileName }) => {
+        logger.log(`${file.name} → ${newFileName}`);
+    });
+    logger.log('\nDry run complete. No files were copied or renamed.');
+}
+
+/**
+ * Makes the backup of an original in lab scans the way the backup mode asks for
+ * @param {string} sourcePath - Original file
+ * @param {string} backupPath - Where the backup goes
+ * @param {string} backupMode - One of BACKUP_MODES other than "none"
+ * @returns {Promise<void>}
+ */
+async function backupFile(sourcePath, backupPath, backupMode) {
+    if (backupMode === 'hardlink') {
+        // Unlike a copy, a link won't replace a file: a resumed run may find the link it made before it was
+        // interrupted, and the overwrite collision policy an older backup
+        await fs.promises.unlink(backupPath).catch(error => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        });
+        return fs.promises.link(sourcePath, backupPath);
+    }
+    if (backupMode === 'reflink') {
+        // Falls back to a plain copy where the filesystem can't clone
+        return fs.promises.copyFile(sourcePath, backupPath, fs.constants.COPYFILE_FICLONE);
+    }
+    return fs.promises.copyFile(sourcePath, backupPath);
+}
+
+/**
+ * Processes a single file: renames it and moves original to lab scans directory
+ * @param {Object} file - File object with name, path, and extension
+ * @param {string} newFileName - New filename to use
+ * @param {string} directoryPath - Parent directory path
+ * @param {string} labScansDir - Lab scans directory path
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.backupName] - Name of the backup copy in lab scans, defaults to the original filename
+ * @param {boolean} [options.skipCopy] - The backup copy was already made by an interrupted run
+ * @param {string} [options.backupMode] - One of BACKUP_MODES, defaults to "copy"; "none" only renames
+ * @param {Function} [options.beforeStep] - Called with "copy" or "rename" before each step, to journal it; the step
+ *                                        waits for a returned promise and doesn't happen if it rejects
+ * @returns {Promise<Object>} Processing result with original and renamed filenames, and the backup name if it differs
+ */
+async function processFile(file, newFileName, directoryPath, labScansDir, options = {}) {
+    const { backupName = file.name, skipCopy = false, backupMode = 'copy', beforeStep = () => {} } = options;
+    const newFilePath = path.join(directoryPath, newFileName);
+    const originalBackupPath = path.join(labScansDir, backupName);
+    
+    // First, copy the original file to the lab scans directory
+    if (!skipCopy && backupMode !== 'none') {
+        await beforeStep('copy');
+        await backupFile(file.path, originalBackupPath, backupMode);
+    }
+    // Then, rename the original file in place
+    await beforeStep('rename');
+    await fs.promises.rename(file.path, newFilePath);
+    
+    const result = {
+        original: file.name,
+        renamed: newFileName
+    };
+    if (backupName !== file.name) {
+        result.backup = backupName;
+    }
+    return result;
+}
+
+/**
+ * Runs a task for each of a number of items, with at most a given number of tasks running at once
+ * Items are started in order; once shouldStop returns true no further items are started and the running ones finish
+ * @param {number} count - Number of items
+ * @param {number} limit - Most tasks running at the same time
+ * @param {Function} task - Called with the index of each item; returns a promise that doesn't reject
+ * @param {Function} [shouldStop] - Checked before each item is started
+ * @returns {Promise<void>} Settles once every started task has finished
+ */
+async function runConcurrently(count, limit, task, shouldStop = () => false) {
+    let next = 0;
+    const worker = async () => {
+        while (next < count && !shouldStop()) {
+            await task(next++);
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(limit, count) }, worker));
+}
+
+/**
+ * Computes the SHA-256 hash of a file, streaming it in chunks so large scans aren't loaded into memory at once
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 })
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Collects the size and content hash recorded for a file in the manifest
+ * @param {Object} file - File object with name, path, and extension
+ * @returns {Promise<Object>} Object with size in bytes and sha256 hash
+ */
+async function describeFile(file) {
+    const { size } = await fs.promises.stat(file.path);
+    return {
+        size,
+        sha256: await hashFile(file.path)
+    };
+}
+
+// Lookup table for the CRC-32 checksums stored in zip entries
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Zip record signatures and the general purpose flags used for every entry:
+// sizes and CRC in a data descriptor after the data (bit 3), UTF-8 names (bit 11)
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_DATA_DESCRIPTOR = 0x08074b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_FLAGS = 0x0808;
+const ZIP_MAX_OFFSET = 0xFFFFFFFF;
+
+/**
+ * Updates a CRC-32 checksum with another chunk of data
+ * @param {Buffer} buffer - Data to add
+ * @param {number} [previous] - Checksum of the data so far
+ * @returns {number} Checksum including the chunk
+ */
+function crc32(buffer, previous = 0) {
+    let crc = ~previous;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * Writes a chunk to a stream, resolving once the stream has accepted it so memory use stays bounded
+ * @param {stream.Writable} output - Stream to write to
+ * @param {Buffer} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+function writeChunk(output, chunk) {
+    if (chunk.length === 0) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        output.write(chunk, error => (error ? reject(error) : resolve()));
+    });
+}
+
+/**
+ * Streams data into a new file
+ * @param {AsyncIterable<Buffer>} content - Data to write
+ * @param {string} filePath - File to create
+ * @returns {Promise<number>} CRC-32 of the data written
+ */
+async function writeContentToFile(content, filePath) {
+    const output = fs.createWriteStream(filePath);
+    let crc = 0;
+    
+    try {
+        for await (const chunk of content) {
+            crc = crc32(chunk, crc);
+            await writeChunk(output, chunk);
+        }
+        output.end();
+        await waitForStream(output);
+    } catch (error) {
+        output.destroy();
+        throw error;
+    }
+    
+    return crc;
+}
+
+/**
+ * Converts a date to the MS-DOS date and time fields of a zip header (local time, two-second resolution)
+ * @param {Date} date - Date to convert
+ * @returns {Object} Object with time and date fields
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Reads the central directory of a zip archive
+ * @param {string} archivePath - Zip archive
+ * @returns {Object} Object with the entries ({ name, size, mtime, method, crc, compressedSize, headerOffset }),
+ *                   the raw directory records and the offset the directory starts at
+ * @throws {Error} If the file isn't a zip archive
+ */
+function readZipDirectory(archivePath) {
+    const fd = fs.openSync(archivePath, 'r');
+    
+    try {
+        const { size } = fs.fstatSync(fd);
+        // The end of directory record is 22 bytes plus a comment of up to 64 KB
+        const tail = Buffer.alloc(Math.min(size, 22 + 0xFFFF));
+        fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+        
+        const signature = Buffer.alloc(4);
+        signature.writeUInt32LE(ZIP_END_OF_DIRECTORY, 0);
+        const endOffset = tail.lastIndexOf(signature);
+        if (endOffset < 0 || endOffset + 22 > tail.length) {
+            throw new Error(`${path.basename(archivePath)} is not a zip archive`);
+        }
+        
+        const entryCount = tail.readUInt16LE(endOffset + 10);
+        const directory = Buffer.alloc(tail.readUInt32LE(endOffset + 12));
+        const directoryOffset = tail.readUInt32LE(endOffset + 16);
+        fs.readSync(fd, directory, 0, directory.length, directoryOffset);
+        
+        const entries = [];
+        let position = 0;
+        for (let i = 0; i < entryCount; i++) {
+            if (directory.readUInt32LE(position) !== ZIP_CENTRAL_HEADER) {
+                throw new Error(`${path.basename(archivePath)} has a damaged directory`);
+            }
+            const nameLength = directory.readUInt16LE(position + 28);
+            const extraLength = directory.readUInt16LE(position + 30);
+            const commentLength = directory.readUInt16LE(position + 32);
+            const extra = directory.subarray(position + 46 + nameLength, position + 46 + nameLength + extraLength);
+            
+            // Prefer the exact Unix time of an extended timestamp field over the DOS fields
+            const dosTime = directory.readUInt16LE(position + 12);
+            const dosDate = directory.readUInt16LE(position + 14);
+            let mtime = new Date(1980 + (dosDate >> 9), ((dosDate >> 5) & 0x0F) - 1, dosDate & 0x1F,
+                dosTime >> 11, (dosTime >> 5) & 0x3F, (dosTime & 0x1F) * 2);
+            for (let offset = 0; offset + 4 <= extra.length; offset += 4 + extra.readUInt16LE(offset + 2)) {
+                if (extra.readUInt16LE(offset) === 0x5455 && extra.readUInt16LE(offset + 2) >= 5 && (extra[offset + 4] & 1)) {
+                    mtime = new Date(extra.readUInt32LE(offset + 5) * 1000);
+                }
+            }
+            
+            entries.push({
+                name: directory.toString('utf8', position + 46, position + 46 + nameLength),
+                size: directory.readUInt32LE(position + 24),
+                mtime,
+                method: directory.readUInt16LE(position + 10),
+                crc: directory.readUInt32LE(position + 16),
+                compressedSize: directory.readUInt32LE(position + 20),
+                headerOffset: directory.readUInt32LE(position + 42)
+            });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+        
+        return { entries, directory, directoryOffset };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Writes a zip archive, deflating each file as it is read
+ * @param {string} archivePath - Archive to create
+ * @param {Array} files - Files to add as { name, path }, name being the name inside the archive
+ * @param {string} [previousPath] - Existing zip archive whose entries are carried over first
+ * @returns {Promise<void>}
+ * @throws {Error} Before anything is written, if the archive could outgrow the 4 GB a zip archive can address
+ */
+async function writeZipArchive(archivePath, files, previousPath) {
+    // Sizes and offsets are 32-bit fields and scans hardly shrink when deflated, so the originals have to fit as they are
+    const inputSize = files.reduce((total, file) => total + fs.statSync(file.path).size, previousPath ? fs.statSync(previousPath).size : 0);
+    if (inputSize > ZIP_MAX_OFFSET) {
+        throw new Error(`${files.length} originals${previousPath ? ' and the existing archive' : ''} come to over 4 GB, ` +
+            'more than a zip archive can hold; use tar.gz instead');
+    }
+    
+    const output = fs.createWriteStream(archivePath);
+    const directoryRecords = [];
+    let entryCount = 0;
+    let offset = 0;
+    const write = async chunk => {
+        await writeChunk(output, chunk);
+        offset += chunk.length;
+    };
+    
+    try {
+        if (previousPath) {
+            // Earlier entries are copied byte for byte; only the directory is rewritten
+            const previous = readZipDirectory(previousPath);
+            if (previous.directoryOffset > 0) {
+                for await (const chunk of fs.createReadStream(previousPath, { end: previous.directoryOffset - 1 })) {
+                    await write(chunk);
+                }
+            }
+            directoryRecords.push(previous.directory);
+            entryCount = previous.entries.length;
+        }
+        
+        for (const file of files) {
+            const stat = fs.statSync(file.path);
+            const name = Buffer.from(file.name, 'utf8');
+            const { time, date } = toDosDateTime(stat.mtime);
+            // Extended timestamp field with the modification time in Unix seconds
+            const extra = Buffer.alloc(9);
+            extra.writeUInt16LE(0x5455, 0);
+            extra.writeUInt16LE(5, 2);
+            extra.writeUInt8(1, 4);
+            extra.writeUInt32LE(Math.floor(stat.mtimeMs / 1000), 5);
+            
+            const headerOffset = offset;
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(ZIP_LOCAL_HEADER, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(ZIP_FLAGS, 6);
+            header.writeUInt16LE(8, 8);
+            header.writeUInt16LE(time, 10);
+            header.writeUInt16LE(date, 12);
+            header.writeUInt16LE(name.length, 26);
+            header.writeUInt16LE(extra.length, 28);
+            await write(Buffer.concat([header, name, extra]));
+            
+            let crc = 0;
+            let size = 0;
+            let compressedSize = 0;
+            const source = fs.createReadStream(file.path);
+            const deflate = zlib.createDeflateRaw();
+            source.on('error', error => deflate.destroy(error));
+            source.on('data', chunk => {
+                crc = crc32(chunk, crc);
+                size += chunk.length;
+            });
+            for await (const chunk of source.pipe(deflate)) {
+                compressedSize += chunk.length;
+                await write(chunk);
+            }
+            if (offset > ZIP_MAX_OFFSET || size > ZIP_MAX_OFFSET) {
+                throw new Error('the archive grew past the 4 GB a zip archive can hold, use tar.gz instead');
+            }
+            
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(ZIP_DATA_DESCRIPTOR, 0);
+            descriptor.writeUInt32LE(crc, 4);
+            descriptor.writeUInt32LE(compressedSize, 8);
+            descriptor.writeUInt32LE(size, 12);
+            await write(descriptor);
+            
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(ZIP_CENTRAL_HEADER, 0);
+            record.writeUInt16LE(0x031E, 4); // Made by Unix, so the file mode below is honoured
+            record.writeUInt16LE(20, 6);
+            record.writeUInt16LE(ZIP_FLAGS, 8);
+            record.writeUInt16LE(8, 10);
+            record.writeUInt16LE(time, 12);
+            record.writeUInt16LE(date, 14);
+            record.writeUInt32LE(crc, 16);
+            record.writeUInt32LE(compressedSize, 20);
+            record.writeUInt32LE(size, 24);
+            record.writeUInt16LE(name.length, 28);
+            record.writeUInt16LE(extra.length, 30);
+            record.writeUInt32LE(0o100644 * 0x10000, 38);
+            record.writeUInt32LE(headerOffset, 42);
+            directoryRecords.push(Buffer.concat([record, name, extra]));
+            entryCount++;
+        }
+        
+        if (entryCount > 0xFFFF) {
+            throw new Error('Too many files for a zip archive, use tar.gz instead');
+        }
+        const directory = Buffer.concat(directoryRecords);
+        const directoryOffset = offset;
+        await write(directory);
+        
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(ZIP_END_OF_DIRECTORY, 0);
+        end.writeUInt16LE(entryCount, 8);
+        end.writeUInt16LE(entryCount, 10);
+        end.writeUInt32LE(directory.length, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+        await write(end);
+        
+        output.end();
+        await waitForStream(output);
+    } catch (error) {
+        output.destroy();
+        throw error;
+    }
+}
+
+/**
+ * Extracts entries of a zip archive into a directory, checking each against its CRC-32
+ * @param {string} archivePath - Zip archive
+ * @param {Set<string>} names - Names of the entries to extract
+ * @param {string} destinationDir - Directory the entries are written to under their own names
+ * @returns {Promise<void>}
+ */
+async function extractZipEntries(archivePath, names, destinationDir) {
+    const { entries } = readZipDirectory(archivePath);
+    
+    for (const entry of entries.filter(({ name }) => names.has(name))) {
+        if (entry.method !== 0 && entry.method !== 8) {
+            throw new Error(`${entry.name} uses an unsupported compression method in ${path.basename(archivePath)}`);
+        }
+        
+        const header = Buffer.alloc(30);
+        const fd = fs.openSync(archivePath, 'r');
+        try {
+            fs.readSync(fd, header, 0, 30, entry.headerOffset);
+        } finally {
+            fs.closeSync(fd);
+        }
+        const dataOffset = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        
+        let content = [];
+        if (entry.compressedSize > 0) {
+            const source = fs.createReadStream(archivePath, { start: dataOffset, end: dataOffset + entry.compressedSize - 1 });
+            content = source;
+            if (entry.method === 8) {
+                content = zlib.createInflateRaw();
+                source.on('error', error => content.destroy(error));
+                source.pipe(content);
+            }
+        }
+        
+        const destinationPath = path.join(destinationDir, entry.name);
+        if (await writeContentToFile(content, destinationPath) !== entry.crc) {
+            throw new Error(`${entry.name} is damaged in ${path.basename(archivePath)}`);
+        }
+        fs.utimesSync(destinationPath, entry.mtime, entry.mtime);
+    }
+}
+
+/**
+ * Builds a ustar header block
+ * @param {string} name - Entry name (names over 100 bytes also need a pax header, see writeTarHeader)
+ * @param {number} size - Size in bytes
+ * @param {Date} mtime - Modification time
+ * @param {string} [type] - Type flag, "0" for a regular file
+ * @returns {Buffer} 512-byte header
+ */
+function createTarHeader(name, size, mtime, type = '0') {
+    const header = Buffer.alloc(512);
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+    
+    header.write(name, 0, 100, 'utf8');
+    header.write(octal(0o644, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(size, 12), 124);
+    header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+    header.write(' '.repeat(8), 148);
+    header.write(type, 156);
+    header.write('ustar\0' + '00', 257);
+    
+    // The checksum is computed with its own field filled with spaces
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return header;
+}
+
+/**
+ * Returns the zero padding that rounds tar entry data up to a whole block
+ * @param {number} size - Size of the data in bytes
+ * @returns {Buffer} Padding
+ */
+function tarPadding(size) {
+    return Buffer.alloc((512 - (size % 512)) % 512);
+}
+
+/**
+ * Writes the header of a tar entry, preceded by a pax header when the name doesn't fit in 100 bytes
+ * @param {stream.Writable} output - Stream receiving the uncompressed tar data
+ * @param {string} name - Entry name
+ * @param {number} size - Size in bytes
+ * @param {Date} mtime - Modification time
+ * @returns {Promise<void>}
+ */
+async function writeTarHeader(output, name, size, mtime) {
+    if (Buffer.byteLength(name) > 100) {
+        // Each pax record starts with its own length in bytes, including the length digits
+        const body = ` path=${name}\n`;
+        const bodyLength = Buffer.byteLength(body);
+        const record = Buffer.from(`${bodyLength + String(bodyLength + String(bodyLength).length).length}${body}`);
+        await writeChunk(output, createTarHeader('PaxHeader', record.length, mtime, 'x'));
+        await writeChunk(output, Buffer.concat([record, tarPadding(record.length)]));
+    }
+    await writeChunk(output, createTarHeader(name, size, mtime));
+}
+
+/**
+ * Reads a gzipped tar archive as a stream, handing every regular file to a callback
+ * @param {string} archivePath - .tar.gz archive
+ * @param {Function} onEntry - Called with { name, size, mtime }; may return (or resolve to) { onData, onEnd }
+ *                             handlers that receive the entry's data, or null to skip it
+ * @returns {Promise<void>}
+ */
+async function readTarArchive(archivePath, onEntry) {
+    const source = fs.createReadStream(archivePath);
+    const gunzip = zlib.createGunzip();
+    source.on('error', error => gunzip.destroy(error));
+    
+    let buffer = Buffer.alloc(0);
+    let current = null;
+    let paxName = null;
+    
+    for await (const chunk of source.pipe(gunzip)) {
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+        
+        while (true) {
+            if (current) {
+                if (current.remaining > 0) {
+                    const data = buffer.subarray(0, Math.min(current.remaining, buffer.length));
+                    buffer = buffer.subarray(data.length);
+                    current.remaining -= data.length;
+                    if (current.handlers && data.length > 0) {
+                        await current.handlers.onData(data);
+                    }
+                    if (current.remaining > 0) {
+                        break;
+                    }
+                }
+                if (buffer.length < current.padding) {
+                    break;
+                }
+                buffer = buffer.subarray(current.padding);
+                if (current.handlers) {
+                    await current.handlers.onEnd();
+                }
+                current = null;
+            }
+            
+            if (buffer.length < 512) {
+                break;
+            }
+            const header = buffer.subarray(0, 512);
+            buffer = buffer.subarray(512);
+            // Zero blocks mark the end of the archive
+            if (header.every(byte => byte === 0)) {
+                continue;
+            }
+            
+            const field = (start, length) => {
+                const value = header.toString('utf8', start, start + length);
+                const end = value.indexOf('\0');
+                return end >= 0 ? value.slice(0, end) : value;
+            };
+            const size = parseInt(field(124, 12).trim() || '0', 8);
+            const type = field(156, 1) || '0';
+            const prefix = field(345, 155);
+            let handlers = null;
+            
+            if (type === 'x') {
+                const record = [];
+                handlers = {
+                    onData: data => record.push(Buffer.from(data)),
+                    onEnd: () => {
+                        const match = Buffer.concat(record).toString('utf8').match(/^\d+ path=(.*)$/m);
+                        paxName = match ? match[1] : null;
+                    }
+                };
+            } else if (type === '0') {
+                const name = paxName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+                paxName = null;
+                handlers = await onEntry({ name, size, mtime: new Date(parseInt(field(136, 12).trim(), 8) * 1000) });
+            }
+            current = { remaining: size, padding: (512 - (size % 512)) % 512, handlers };
+        }
+    }
+}
+
+/**
+ * Writes a gzipped tar archive
+ * @param {string} archivePath - Archive to create
+ * @param {Array} files - Files to add as { name, path }, name being the name inside the archive
+ * @param {string} [previousPath] - Existing .tar.gz archive whose entries are carried over first
+ * @returns {Promise<void>}
+ */
+async function writeTarArchive(archivePath, files, previousPath) {
+    const output = fs.createWriteStream(archivePath);
+    const gzip = zlib.createGzip();
+    output.on('error', error => gzip.destroy(error));
+    gzip.pipe(output);
+    
+    try {
+        if (previousPath) {
+            await readTarArchive(previousPath, async entry => {
+                await writeTarHeader(gzip, entry.name, entry.size, entry.mtime);
+                return {
+                    onData: data => writeChunk(gzip, data),
+                    onEnd: () => writeChunk(gzip, tarPadding(entry.size))
+                };
+            });
+        }
+        
+        for (const file of files) {
+            const stat = fs.statSync(file.path);
+            await writeTarHeader(gzip, file.name, stat.size, stat.mtime);
+            let written = 0;
+            for await (const chunk of fs.createReadStream(file.path)) {
+                written += chunk.length;
+                await writeChunk(gzip, chunk);
+            }
+            if (written !== stat.size) {
+                throw new Error(`${file.name} changed while it was being archived`);
+            }
+            await writeChunk(gzip, tarPadding(stat.size));
+        }
+        
+        await writeChunk(gzip, Buffer.alloc(1024));
+        gzip.end();
+        await waitForStream(output);
+    } catch (error) {
+        gzip.destroy();
+        output.destroy();
+        throw error;
+    }
+}
+
+/**
+ * Extracts entries of a gzipped tar archive into a directory
+ * @param {string} archivePath - .tar.gz archive
+ * @param {Set<string>} names - Names of the entries to extract
+ * @param {string} destinationDir - Directory the entries are written to under their own names
+ * @returns {Promise<void>}
+ */
+async function extractTarEntries(archivePath, names, destinationDir) {
+    let output = null;
+    
+    try {
+        await readTarArchive(archivePath, entry => {
+            if (!names.has(entry.name)) {
+                return null;
+            }
+            const destinationPath = path.join(destinationDir, entry.name);
+            output = fs.createWriteStream(destinationPath);
+            return {
+                onData: data => writeChunk(output, data),
+                onEnd: async () => {
+                    output.end();
+                    await waitForStream(output);
+                    output = null;
+                    fs.utimesSync(destinationPath, entry.mtime, entry.mtime);
+                }
+            };
+        });
+    } catch (error) {
+        if (output) {
+            output.destroy();
+        }
+        throw error;
+    }
+}
+
+/**
+ * Gets the file name of the backup archive used instead of a backup directory
+ * @param {string} backupDir - Name of the backup directory, e.g. "lab scans"
+ * @param {string} format - One of BACKUP_ARCHIVE_FORMATS
+ * @returns {string} Archive file name, e.g. "lab-scans.zip"
+ */
+function getBackupArchiveName(backupDir, format) {
+    return `${backupDir.replace(/\s+/g, '-')}.${format}`;
+}
+
+/**
+ * Lists the files stored in a backup archive
+ * @param {string} archivePath - .zip or .tar.gz backup archive
+ * @returns {Promise<Array>} Entries as { name, size, mtime }
+ */
+async function listBackupArchive(archivePath) {
+    if (archivePath.endsWith('.zip')) {
+        return readZipDirectory(archivePath).entries.map(({ name, size, mtime }) => ({ name, size, mtime }));
+    }
+    
+    const entries = [];
+    await readTarArchive(archivePath, entry => {
+        entries.push(entry);
+        return null;
+    });
+    return entries;
+}
+
+/**
+ * Writes originals into a new backup archive, with their names and modification times
+ * @param {string} archivePath - Archive to create
+ * @param {string} format - One of BACKUP_ARCHIVE_FORMATS
+ * @param {Array} files - Files to add as { name, path }, name being the name inside the archive
+ * @param {string} [previousPath] - Archive of earlier runs whose entries are carried over
+ * @returns {Promise<void>}
+ */
+function writeBackupArchive(archivePath, format, files, previousPath) {
+    return format === 'zip'
+        ? writeZipArchive(archivePath, files, previousPath)
+        : writeTarArchive(archivePath, files, previousPath);
+}
+
+/**
+ * Extracts backups from a backup archive
+ * @param {string} archivePath - .zip or .tar.gz backup archive
+ * @param {Set<string>} names - Names of the entries to extract
+ * @param {string} destinationDir - Directory the entries are written to under their own names
+ * @returns {Promise<void>}
+ */
+function extractBackupArchive(archivePath, names, destinationDir) {
+    return archivePath.endsWith('.zip')
+        ? extractZipEntries(archivePath, names, destinationDir)
+        : extractTarEntries(archivePath, names, destinationDir);
+}
+
+/**
+ * Deletes a directory and everything in it. fs.rmSync arrived in Node 14.14 and recursive rmdir has been
+ * deprecated since, so the older call is only made where rmSync is missing
+ * @param {string} directoryPath - Directory to delete
+ */
+function removeDirectory(directoryPath) {
+    if (fs.rmSync) {
+        fs.rmSync(directoryPath, { recursive: true });
+    } else {
+        fs.rmdirSync(directoryPath, { recursive: true });
+    }
+}
+
+/**
+ * Reads the rename manifest of a directory
+ * @param {string} directoryPath - Roll directory
+ * @returns {Object|null} Parsed manifest, or null if the directory has none
+ * @throws {Error} If the manifest exists but can't be parsed
+ */
+function readManifest(directoryPath) {
+    const manifestPath = path.join(directoryPath, MANIFEST_FILENAME);
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+    
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read manifest ${manifestPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Appends a run to the directory's rename manifest, creating the manifest if needed
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} run - Run record with the options used and the renamed files
+ * @returns {string} Path to the manifest file
+ */
+function writeManifest(directoryPath, run) {
+    const manifestPath = path.join(directoryPath, MANIFEST_FILENAME);
+    const manifest = readManifest(directoryPath) || {
+        version: MANIFEST_VERSION,
+        directory: path.basename(directoryPath),
+        runs: []
+    };
+    manifest.runs.push(run);
+    writeJsonFile(manifestPath, manifest);
+    
+    return manifestPath;
+}
+
+/**
+ * Writes JSON to a temporary file first so an interrupted write never leaves a truncated file behind
+ * @param {string} filePath - Destination path
+ * @param {Object} data - Data to write
+ */
+function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Reads the journal left behind by an interrupted run
+ * @param {string} directoryPath - Roll directory
+ * @returns {Object|null} Parsed journal, or null if no run was interrupted
+ * @throws {Error} If the journal exists but can't be parsed
+ */
+function readJournal(directoryPath) {
+    const journalPath = path.join(directoryPath, JOURNAL_FILENAME);
+    if (!fs.existsSync(journalPath)) {
+        return null;
+    }
+    
+    try {
+        return JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read journal ${journalPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Works out how far a journal entry actually got
+ * The journal is written before each step, so an entry marked "copying" may have an incomplete backup and
+ * one marked "renaming" may or may not have been renamed; the filesystem settles the latter
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} entry - Journal entry
+ * @returns {string} "pending" (copy still needed), "copied" (rename still needed) or "done"
+ */
+function inspectJournalEntry(directoryPath, entry) {
+    if (entry.state === 'renaming') {
+        const renamed = entry.original === entry.renamed || !fs.existsSync(path.join(directoryPath, entry.original));
+        return renamed ? 'done' : 'copied';
+    }
+    return entry.state === 'done' ? 'done' : 'pending';
+}
+
+/**
+ * Gets the paths involved in writing a run's backup archive
+ * The new archive is written to a hidden partial file and swapped in; an archive from earlier runs is
+ * kept aside as the previous version until the run completes, so a rollback can put it back
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} run - Journal or manifest run with backupDir and backupArchive
+ * @returns {Object} Object with the archive, partial and previous paths
+ */
+function getArchivePaths(directoryPath, run) {
+    const archiveName = getBackupArchiveName(run.backupDir, run.backupArchive);
+    return {
+        archive: path.join(directoryPath, archiveName),
+        partial: path.join(directoryPath, `.${archiveName}.partial`),
+        previous: path.join(directoryPath, `.${archiveName}.previous`)
+    };
+}
+
+/**
+ * Works out whether the backup archive of a journaled run has been written and swapped in
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} journal - Run journal with an archive record
+ * @returns {string} "done" or "pending"
+ */
+function inspectJournalArchive(directoryPath, journal) {
+    const { state, hadPrevious } = journal.archive;
+    if (state !== 'writing') {
+        return state;
+    }
+    
+    const paths = getArchivePaths(directoryPath, journal.run);
+    const swapped = !fs.existsSync(paths.partial) && fs.existsSync(paths.archive) &&
+        (!hadPrevious || fs.existsSync(paths.previous));
+    return swapped ? 'done' : 'pending';
+}
+
+/**
+ * Writes the originals of every journal entry into the run's backup archive, before any file is renamed
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} journal - Run journal with an archive record; updated in place
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
+ * @returns {Promise<void>}
+ * @throws {Error} If the archive can't be written; the roll is left unchanged and the journal removed
+ */
+async function writeJournalArchive(directoryPath, journal, logger = console) {
+    const journalPath = path.join(directoryPath, JOURNAL_FILENAME);
+    const paths = getArchivePaths(directoryPath, journal.run);
+    
+    if (inspectJournalArchive(directoryPath, journal) === 'pending') {
+        // An interrupted attempt is started over from the archive of the earlier runs
+        if (fs.existsSync(paths.partial)) {
+            fs.unlinkSync(paths.partial);
+        }
+        if (journal.archive.hadPrevious && !fs.existsSync(paths.archive)) {
+            fs.renameSync(paths.previous, paths.archive);
+        }
+        
+        journal.archive.state = 'writing';
+        writeJsonFile(journalPath, journal);
+        
+        logger.log(`\nArchiving ${journal.entries.length} originals into ${path.basename(paths.archive)}...`);
+        try {
+            await writeBackupArchive(paths.partial, journal.run.backupArchive, journal.entries.map(entry => ({
+                name: entry.backup || entry.original,
+                path: path.join(directoryPath, entry.original)
+            })), journal.archive.hadPrevious ? paths.archive : undefined);
+        } catch (error) {
+            if (fs.existsSync(paths.partial)) {
+                fs.unlinkSync(paths.partial);
+            }
+            fs.unlinkSync(journalPath);
+            throw new Error(`Could not write ${path.basename(paths.archive)} (${error.message}); no files were renamed`);
+        }
+        
+        if (journal.archive.hadPrevious) {
+            fs.renameSync(paths.archive, paths.previous);
+        }
+        fs.renameSync(paths.partial, paths.archive);
+    }
+    
+    journal.archive.state = 'done';
+    writeJsonFile(journalPath, journal);
+}
+
+/**
+ * Lists the filesystem steps a journal shows were carried out, in the order they happened, so they can be reverted
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} journal - Run journal
+ * @returns {Array} Steps in the format used by rollbackSteps
+ */
+function getJournalSteps(directoryPath, journal) {
+    const labScansDir = path.join(directoryPath, journal.run.backupDir);
+    const steps = [];
+    
+    if (journal.archive) {
+        const paths = getArchivePaths(directoryPath, journal.run);
+        if (fs.existsSync(paths.partial)) {
+            steps.push({ action: 'copy', path: paths.partial });
+        }
+        // Reverting this rename puts the archive of the earlier runs back in place
+        if (journal.archive.hadPrevious && fs.existsSync(paths.previous)) {
+            steps.push({ action: 'rename', from: paths.archive, to: paths.previous });
+        } else if (!journal.archive.hadPrevious && inspectJournalArchive(directoryPath, journal) === 'done') {
+            steps.push({ action: 'copy', path: paths.archive });
+        }
+    }
+    
+    for (const entry of journal.entries) {
+        const state = inspectJournalEntry(directoryPath, entry);
+        const backupPath = path.join(labScansDir, entry.backup || entry.original);
+        
+        // A copy that was started may have left a partial backup behind
+        const backedUp = state !== 'pending' || (entry.state === 'copying' && fs.existsSync(backupPath));
+        if (journal.run.backupMode !== 'none' && !journal.archive && backedUp) {
+            steps.push({ action: 'copy', path: backupPath });
+        }
+        if (state === 'done' && entry.original !== entry.renamed) {
+            steps.push({
+                action: 'rename',
+                from: path.join(directoryPath, entry.original),
+                to: path.join(directoryPath, entry.renamed)
+            });
+        }
+    }
+    
+    return steps;
+}
+
+/**
+ * Carries out every journal entry that isn't done yet, journaling each step before it happens
+ * Used both for new runs and to resume an interrupted one. Several files are backed up and renamed at once, but a
+ * file whose new name is still held by an earlier file of the plan is only renamed once that file has moved, and
+ * files are logged and reported in plan order whatever order they finish in
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} journal - Run journal; entries are updated in place
+ * @param {boolean} transactional - Roll back everything the journal records if any file fails
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.concurrency] - Most files worked on at the same time, defaults to DEFAULT_CONCURRENCY
+ * @param {Object} [options.logger] - Receives the output through log and error methods, defaults to console
+ * @param {EventEmitter} [options.emitter] - Receives a fileRenamed or fileFailed event for each file, and a progress
+ *                                           event ({ directory, files, totalFiles, bytes, totalBytes, eta }) at the
+ *                                           start and whenever a file finishes
+ * @returns {Promise<Object>} Object with the processed files as { original, renamed } objects, including those done by
+ *                            an interrupted run, and the failed files as { original, renamed, error }
+ * @throws {Error} In transactional mode, with reverted and notReverted steps, if any file fails; files that were
+ *                 underway are finished first and no new ones are started
+ */
+async function executeJournal(directoryPath, journal, transactional, options = {}) {
+    const { logger = console, emitter = null, concurrency = DEFAULT_CONCURRENCY } = options;
+    const journalPath = path.join(directoryPath, JOURNAL_FILENAME);
+    const labScansDir = path.join(directoryPath, journal.run.backupDir);
+    // Originals are already in the archive
+    const backupMode = journal.archive ? 'none' : journal.run.backupMode;
+    const { entries } = journal;
+    const emit = (event, payload) => {
+        if (emitter) {
+            emitter.emit(event, payload);
+        }
+    };
+    
+    // The earlier entry whose original name each entry is renamed to, if any
+    const sourceIndexes = new Map(entries.map((entry, index) => [entry.original.toLowerCase(), index]));
+    const holders = entries.map((entry, index) => {
+        const holder = sourceIndexes.get(entry.renamed.toLowerCase());
+        return holder !== undefined && holder < index ? holder : undefined;
+    });
+    
+    const sizes = await Promise.all(entries.map(entry => (entry.size !== undefined
+        ? entry.size
+        : fs.promises.stat(path.join(directoryPath, entry.original)).then(stats => stats.size, () => 0))));
+    const totalBytes = sizes.reduce((total, size) => total + size, 0);
+    const progress = { directory: directoryPath, files: 0, totalFiles: entries.length, bytes: 0, totalBytes, eta: null };
+    // Files an interrupted run already finished don't count towards the time estimate
+    const startTime = Date.now();
+    let bytesThisRun = 0;
+    
+    const outcomes = [];
+    const tasks = [];
+    let reported = 0;
+    let firstFailure = null;
+    const reportFinished = () => {
+        for (; reported < entries.length && outcomes[reported]; reported++) {
+            const { processed, failure, resumed } = outcomes[reported];
+            if (failure) {
+                logger.error(`Error processing ${failure.original}: ${failure.error}`);
+                emit('fileFailed', failure);
+                continue;
+            }
+            if (!resumed) {
+                logger.log(backupMode === 'none'
+                    ? `Renamed: ${processed.original} → ${processed.renamed}`
+                    : `Renamed: ${processed.original} → ${processed.renamed} (original moved to ${path.basename(labScansDir)}/${processed.backup || processed.original})`);
+            }
+            emit('fileRenamed', processed);
+        }
+    };
+    
+    const processEntry = async index => {
+        const entry = entries[index];
+        const file = { name: entry.original, path: path.join(directoryPath, entry.original) };
+        const state = inspectJournalEntry(directoryPath, entry);
+        
+        try {
+            if (state === 'pending') {
+                Object.assign(entry, await describeFile(file));
+            }
+            if (state !== 'done') {
+                await processFile(file, entry.renamed, directoryPath, labScansDir, {
+                    backupName: entry.backup || entry.original,
+                    backupMode,
+                    skipCopy: state === 'copied',
+                    beforeStep: async action => {
+                        const holder = holders[index];
+                        if (action === 'rename' && holder !== undefined) {
+                            await tasks[holder];
+                            if (entries[holder].state !== 'done') {
+                                throw new Error(`${entry.renamed} is still taken by ${entries[holder].original}, which could not be renamed`);
+                            }
+                        }
+                        // Journal writes stay synchronous, so they never interleave and each is on disk before its step
+                        entry.state = action === 'copy' ? 'copying' : 'renaming';
+                        writeJsonFile(journalPath, journal);
+                    }
+                });
+                bytesThisRun += sizes[index];
+            }
+            entry.state = 'done';
+            const processed = entry.backup
+                ? { original: entry.original, renamed: entry.renamed, backup: entry.backup }
+                : { original: entry.original, renamed: entry.renamed };
+            outcomes[index] = { processed, resumed: state === 'done' };
+        } catch (error) {
+            outcomes[index] = { failure: { original: entry.original, renamed: entry.renamed, error: error.message } };
+            if (!firstFailure) {
+                firstFailure = { file, error };
+            }
+        }
+        
+        reportFinished();
+        progress.files++;
+        progress.bytes += sizes[index];
+        const elapsed = Date.now() - startTime;
+        progress.eta = bytesThisRun > 0 ? Math.round((elapsed * (totalBytes - progress.bytes)) / bytesThisRun / 1000) : null;
+        emit('progress', { ...progress });
+    };
+    
+    if (entries.length > 0) {
+        emit('progress', { ...progress });
+    }
+    await runConcurrently(entries.length, concurrency, index => {
+        tasks[index] = processEntry(index);
+        return tasks[index];
+    }, () => transactional && firstFailure !== null);
+    
+    if (transactional && firstFailure) {
+        const { file, error } = firstFailure;
+        logger.log('\nRolling back all completed steps...');
+        const { reverted, failed } = rollbackSteps(getJournalSteps(directoryPath, journal), logger);
+        if (failed.length === 0) {
+            fs.unlinkSync(journalPath);
+            if (!journal.labScansDirExisted && fs.existsSync(labScansDir)) {
+                fs.rmdirSync(labScansDir);
+            }
+        }
+        
+        const rollbackError = new Error(
+            `Failed to process ${file.name} (${error.message}). ` +
+            `Rolled back ${reverted.length} completed steps` +
+            (failed.length > 0 ? `, ${failed.length} steps could not be reverted` : '; the roll is unchanged')
+        );
+        rollbackError.reverted = reverted;
+        rollbackError.notReverted = failed;
+        throw rollbackError;
+    }
+    
+    return {
+        processed: outcomes.filter(outcome => outcome.processed).map(outcome => outcome.processed),
+        failed: outcomes.filter(outcome => outcome.failure).map(outcome => outcome.failure)
+    };
+}
+
+/**
+ * Finishes a run: records it in the manifest, removes the journal and logs the summary
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} journal - Run journal
+ * @param {Array} processedFiles - Files processed, from executeJournal
+ * @param {Array} [excluded] - Files left out by the scan filters, for the summary
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
+ */
+function completeJournal(directoryPath, journal, processedFiles, excluded = [], logger = console) {
+    const { run } = journal;
+    // The originals of files that failed are still in place, and a backup left behind would survive an undo and
+    // block a retry
+    const labScansDir = path.join(directoryPath, run.backupDir);
+    if (run.backupMode !== 'none' && !journal.archive) {
+        journal.entries
+            .filter(entry => entry.state === 'copying' || entry.state === 'renaming')
+            .map(entry => path.join(labScansDir, entry.backup || entry.original))
+            .filter(backupPath => fs.existsSync(backupPath))
+            .forEach(backupPath => fs.unlinkSync(backupPath));
+        if (!journal.labScansDirExisted && fs.existsSync(labScansDir) && fs.readdirSync(labScansDir).length === 0) {
+            fs.rmdirSync(labScansDir);
+        }
+    }
+    
+    const manifestEntries = journal.entries
+        .filter(entry => entry.state === 'done')
+        .map(({ state, ...entry }) => entry);
+    
+    // Record what happened so the run can be traced after the terminal is closed
+    const manifestPath = writeManifest(directoryPath, { ...run, files: manifestEntries });
+    if (journal.archive && fs.existsSync(getArchivePaths(directoryPath, run).previous)) {
+        fs.unlinkSync(getArchivePaths(directoryPath, run).previous);
+    }
+    fs.unlinkSync(path.join(directoryPath, JOURNAL_FILENAME));
+    logger.log(`\nManifest written to: ${manifestPath}`);
+    
+    const backupLocation = journal.archive ? getArchivePaths(directoryPath, run).archive : labScansDir;
+    logCompletionSummary(processedFiles.length, run.startingIndex || undefined, run.skipNumbers, run.letterSuffix,
+        directoryPath, backupLocation, excluded, run.backupMode, run.backupArchive, logger);
+}
+
+/**
+ * Puts a roll back the way it was before an interrupted run, using its journal
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} journal - Journal of the interrupted run
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
+ * @returns {Array} Restored files as { original, renamed } objects
+ * @throws {Error} If some steps could not be reverted; the journal is kept so the rollback can be retried
+ */
+function rollbackJournal(directoryPath, journal, logger = console) {
+    const restored = journal.entries
+        .filter(entry => inspectJournalEntry(directoryPath, entry) === 'done')
+        .map(entry => ({ original: entry.original, renamed: entry.renamed }));
+    
+    logger.log(`Rolling back the interrupted run from ${journal.run.date} in: ${directoryPath}`);
+    const { reverted, failed } = rollbackSteps(getJournalSteps(directoryPath, journal), logger);
+    if (failed.length > 0) {
+        throw new Error(`Rolled back ${reverted.length} steps, but ${failed.length} could not be reverted. ` +
+            'The journal was kept so the rollback can be retried');
+    }
+    
+    fs.unlinkSync(path.join(directoryPath, JOURNAL_FILENAME));
+    const labScansDir = path.join(directoryPath, journal.run.backupDir);
+    if (!journal.labScansDirExisted && fs.existsSync(labScansDir) && fs.readdirSync(labScansDir).length === 0) {
+        fs.rmdirSync(labScansDir);
+    }
+    
+    logger.log(`\nRollback complete! Restored ${restored.length} renamed files; the roll is back to its original state.`);
+    return restored;
+}
+
+/**
+ * Resumes, rolls back or (in a dry run) describes an interrupted run
+ * @param {string} directoryPath - Roll directory
+ * @param {Object} journal - Journal of the interrupted run
+ * @param {Object} options - resume, rollback, dryRun and transactional flags, and the concurrency, logger and emitter of the run
+ * @returns {Promise<Object>} Run result as described for renameFilesByAlphabeticalOrder; a rollback lists the
+ *                            files it put back in restored
+ * @throws {InterruptedRunError} If neither resume nor rollback was asked for
+ */
+async function handleInterruptedRun(directoryPath, journal, options) {
+    const { resume, rollback, dryRun, transactional, concurrency, logger = console, emitter = null } = options;
+    const plan = journal.entries.map(entry => ({ original: entry.original, renamed: entry.renamed }));
+    const states = journal.entries.map(entry => inspectJournalEntry(directoryPath, entry));
+    const doneCount = states.filter(state => state === 'done').length;
+    const description = `an interrupted run from ${journal.run.date} (${doneCount} of ${journal.entries.length} files renamed)`;
+    
+    if (!resume && !rollback) {
+        throw new InterruptedRunError(`Found ${description} in ${directoryPath}. ` +
+            'Resume it (--resume) or roll it back to the original state (--rollback)');
+    }
+    
+    if (dryRun) {
+        logger.log(`\nDry run - ${description} would be ${resume ? 'resumed' : 'rolled back'}:`);
+        journal.entries.forEach((entry, i) => {
+            logger.log(`${entry.original} → ${entry.renamed} (${states[i]})`);
+        });
+        logger.log('\nDry run complete. No files were copied or renamed.');
+        return createRunResult({ plan, dryRun: true });
+    }
+    
+    if (rollback) {
+        return createRunResult({ restored: rollbackJournal(directoryPath, journal, logger) });
+    }
+    
+    logger.log(`Resuming ${description} in: ${directoryPath}`);
+    if (emitter) {
+        emitter.emit('plan', { directory: directoryPath, plan, dryRun: false });
+    }
+    if (journal.archive) {
+        await writeJournalArchive(directoryPath, journal, logger);
+    }
+    const { processed, failed } = await executeJournal(directoryPath, journal, transactional, { concurrency, logger, emitter });
+    completeJournal(directoryPath, journal, processed, [], logger);
+    return createRunResult({ processed, failed, plan });
+}
+
+/**
+ * Checks up front that every file in the plan can be read; name collisions are handled by resolveCollisions
+ * @param {Array} plan - Plan entries from buildRenamePlan
+ * @throws {Error} Listing every problem found, if any
+ */
+function validatePlan(plan) {
+    const problems = [];
+    
+    plan.forEach(({ file }) => {
+        try {
+            fs.accessSync(file.path, fs.constants.R_OK);
+        } catch (error) {
+            problems.push(`${file.name}: cannot be read (${error.code || error.message})`);
+        }
+    });
+    
+    if (problems.length > 0) {
+        throw new Error(`Validation failed, no files were changed:\n  ${problems.join('\n  ')}`);
+    }
+}
+
+/**
+ * Adds "-1", "-2"... before the extension until the name is free
+ * @param {string} name - Filename that is taken
+ * @param {Function} isTaken - Returns true while a candidate name is still taken
+ * @returns {string} First free name
+ */
+function findFreeName(name, isTaken) {
+    const extension = path.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+    let counter = 1;
+    while (isTaken(`${base}-${counter}${extension}`)) {
+        counter++;
+    }
+    return `${base}-${counter}${extension}`;
+}
+
+/**
+ * Finds planned names that would clobber something and resolves them according to the policy, before any I/O
+ * Targets are checked against files already in the roll (including sources that haven't been renamed yet
+ * at that point in the plan), against the other planned targets and, for the backup copies, against lab scans.
+ * Names are compared case-insensitively so a roll behaves the same on macOS and Windows as on Linux.
+ * @param {Array} plan - Plan entries from buildRenamePlan
+ * @param {string} directoryPath - Roll directory
+ * @param {string|null} labScansDir - Lab scans directory path (it may not exist yet), or null when no backups are made
+ * @param {string} [policy] - One of COLLISION_POLICIES, defaults to "error"
+ * @param {string[]} [backupNames] - Names already taken in a backup archive, checked instead of labScansDir
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
+ * @returns {Object} Object with the resolved plan (entries gain a backupName) and the skipped files as { file, reason }
+ * @throws {CollisionError} If there are collisions the policy doesn't resolve
+ */
+function resolveCollisions(plan, directoryPath, labScansDir, policy = 'error', backupNames, logger = console) {
+    if (!COLLISION_POLICIES.includes(policy)) {
+        throw new Error(`Unknown collision policy "${policy}". Use one of: ${COLLISION_POLICIES.join(', ')}`);
+    }
+    
+    const key = name => name.toLowerCase();
+    const existing = new Map(fs.readdirSync(directoryPath).map(name => [key(name), name]));
+    const existingBackups = new Set(backupNames
+        ? backupNames.map(key)
+        : (labScansDir && fs.existsSync(labScansDir) ? fs.readdirSync(labScansDir).map(key) : []));
+    const pendingSources = new Set(plan.map(({ file }) => key(file.name)));
+    const claimedTargets = new Map();
+    const claimedBackups = new Set();
+    const resolved = [];
+    const skipped = [];
+    const collisions = [];
+    
+    // Why a target can't be used by this file right now, or null if it can
+    const targetProblem = (file, name) => {
+        const nameKey = key(name);
+        if (claimedTargets.has(nameKey)) {
+            return { kind: 'planned', message: `${name} is also the target of ${claimedTargets.get(nameKey)}` };
+        }
+        if (existing.has(nameKey) && nameKey !== key(file.name)) {
+            if (pendingSources.has(nameKey)) {
+                return { kind: 'pending', message: `${name} would be overwritten before it is renamed` };
+            }
+            return { kind: 'existing', message: `${name} already exists` };
+        }
+        return null;
+    };
+    const backupTaken = name => labScansDir !== null && (existingBackups.has(key(name)) || claimedBackups.has(key(name)));
+    
+    for (const entry of plan) {
+        const { file } = entry;
+        let { newFileName } = entry;
+        let backupName = file.name;
+        const problems = [];
+        
+        const target = targetProblem(file, newFileName);
+        if (target) {
+            problems.push({ ...target, target: newFileName });
+        }
+        if (backupTaken(backupName)) {
+            problems.push({
+                kind: 'backup',
+                target: backupName,
+                message: `a backup with this name already exists in ${path.basename(labScansDir)}`
+            });
+        }
+        
+        let unresolved = [];
+        if (problems.length > 0 && policy === 'skip') {
+            const reason = problems.map(problem => problem.message).join('; ');
+            logger.log(`Skipping ${file.name}: ${reason}`);
+            skipped.push({ file, reason });
+            pendingSources.delete(key(file.name));
+            continue;
+        } else if (policy === 'suffix') {
+            if (target) {
+                newFileName = findFreeName(newFileName, name => targetProblem(file, name) !== null);
+                logger.log(`Collision: ${file.name} → ${entry.newFileName} (${target.message}), using ${newFileName}`);
+            }
+            if (backupTaken(backupName)) {
+                backupName = findFreeName(backupName, backupTaken);
+                logger.log(`Collision: backup of ${file.name} already exists in ${path.basename(labScansDir)}, using ${backupName}`);
+            }
+        } else if (policy === 'overwrite') {
+            // Only files outside the plan can be replaced; a scan that still has to be renamed never is
+            unresolved = problems.filter(problem => problem.kind === 'planned' || problem.kind === 'pending' ||
+                (problem.kind === 'existing' && fs.statSync(path.join(directoryPath, existing.get(key(problem.target)))).isDirectory()));
+            problems.filter(problem => !unresolved.includes(problem)).forEach(problem => {
+                logger.log(`Overwriting: ${problem.kind === 'backup' ? `${path.basename(labScansDir)}/` : ''}${problem.target}`);
+            });
+        } else {
+            unresolved = problems;
+        }
+        
+        unresolved.forEach(problem => {
+            collisions.push({ file: file.name, kind: problem.kind, target: problem.target, message: `${file.name}: ${problem.message}` });
+        });
+        
+        claimedTargets.set(key(newFileName), file.name);
+        claimedBackups.add(key(backupName));
+        // Once this file has been renamed its old name is free for later files in the plan
+        if (key(newFileName) !== key(file.name)) {
+            existing.delete(key(file.name));
+        }
+        pendingSources.delete(key(file.name));
+        resolved.push({ ...entry, newFileName, backupName });
+    }
+    
+    if (collisions.length > 0) {
+        throw new CollisionError(
+            `${collisions.length} filename collision${collisions.length === 1 ? '' : 's'}, no files were changed:\n  ` +
+            `${collisions.map(collision => collision.message).join('\n  ')}\n` +
+            'Use the suffix, skip or overwrite collision policy to resolve them',
+            collisions
+        );
+    }
+    
+    return { plan: resolved, skipped };
+}
+
+/**
+ * Reverts completed filesystem steps in reverse order
+ * @param {Array} completedSteps - Steps from getJournalSteps, in the order they were carried out
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
+ * @returns {Object} Object with the reverted steps and any steps that could not be reverted
+ */
+function rollbackSteps(completedSteps, logger = console) {
+    const reverted = [];
+    const failed = [];
+    
+    for (const step of completedSteps.slice().reverse()) {
+        try {
+            if (step.action === 'rename') {
+                fs.renameSync(step.to, step.from);
+                logger.log(`Reverted: ${path.basename(step.to)} → ${path.basename(step.from)}`);
+            } else {
+                fs.unlinkSync(step.path);
+                logger.log(`Reverted: removed backup copy ${path.relative(path.dirname(path.dirname(step.path)), step.path)}`);
+            }
+            reverted.push(step);
+        } catch (error) {
+            logger.error(`Could not revert ${step.action} of ${step.path || step.to}: ${error.message}`);
+            failed.push(step);
+        }
+    }
+    
+    return { reverted, failed };
+}
+
+/**
+ * Logs the completion summary
+ * @param {number} processedCount - Number of successfully processed files
+ * @param {string} startingIndex - Starting index used
+ * @param {number[]} skipNumbers - Numbers that were skipped
+ * @param {string} letterSuffix - Letter suffix used
+ * @param {string} directoryPath - Directory path
+ * @param {string} labScansDir - Lab scans directory path, or the backup archive path
+ * @param {Array} [excluded] - Files left out of the roll by the scan filters
+ * @param {string} [backupMode] - How the originals were backed up, one of BACKUP_MODES
+ * @param {string} [backupArchive] - Archive format the originals were bundled into, if any
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
+ */
+function logCompletionSummary(processedCount, startingIndex, skipNumbers, letterSuffix, directoryPath, labScansDir, excluded = [], backupMode = 'copy', backupArchive = null, logger = console) {
+    logger.log(`\nProcessing complete! Successfully renamed ${processedCount} files.`);
+    let summaryMessage = '\nIndexing started from ' + startingIndex + ' and skipped numbers: ' + skipNumbers.join(', ');
+    if (letterSuffix) {
+        summaryMessage += ` with letter suffix: "${letterSuffix}"`;
+    }
+    logger.log(summaryMessage);
+    logger.log(`\nRenamed files are now in: ${directoryPath}`);
+    if (backupMode === 'none') {
+        logger.log('\nNo backups were made (backup mode: none); undo renames the files back using the manifest.');
+    } else {
+        const modeNotes = {
+            copy: 'full copies',
+            hardlink: 'hardlinks sharing disk space with the renamed files',
+            reflink: 'copy-on-write clones where the filesystem supports them'
+        };
+        logger.log(`\nOriginal files are preserved in: ${labScansDir}`);
+        logger.log(`Backup mode: ${backupMode} (${backupArchive ? `compressed into a ${backupArchive} archive` : modeNotes[backupMode]})`);
+    }
+    logExcludedFiles(excluded, logger);
+    logger.log('\nIf you\'re happy with the results, you can:');
+    if (backupMode === 'none') {
+        logger.log(`Run "rename-files undo ${directoryPath}" to put the original names back`);
+    } else {
+        logger.log(backupArchive
+            ? `1. Delete the backup archive "${path.basename(labScansDir)}", or`
+            : `1. Delete the backup files in the "${path.basename(labScansDir)}" directory, or`);
+        logger.log(`2. Run "rename-files undo ${directoryPath}" to put the originals back`);
+    }
+}
+
+/**
+ * Parses a skip number list such as "10,11,22", "[10-15, 30-]" or "@skips.txt"
+ * Entries can be numbers (10), ranges (10-15), open ranges (30-, up to the end of the roll)
+ * or -N for the last N frames of the roll; "@path" reads the list from a file (# starts a comment)
+ * @param {string} skipNumbersArg - Skip number list
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.rollLength] - Number of frames on the roll, needed for open ranges and -N
+ * @returns {number[]} Sorted array of unique numbers to skip
+ * @throws {SkipNumbersError} If the list or skip file is invalid, or with needsRollLength set if the list is valid
+ *                            but needs a roll length that wasn't given
+ */
+function parseSkipNumbers(skipNumbersArg, options = {}) {
+    const { rollLength } = options;
+    if (!skipNumbersArg) {
+        return [];
+    }
+    
+    let list = String(skipNumbersArg);
+    if (list.startsWith('@')) {
+        const listPath = list.slice(1);
+        try {
+            list = fs.readFileSync(listPath, 'utf8').replace(/#.*$/gm, '');
+        } catch (error) {
+            throw new SkipNumbersError(`Could not read skip list ${listPath}: ${error.message}`);
+        }
+    }
+    
+    const fail = reason => new SkipNumbersError(`Error parsing skip numbers "${skipNumbersArg}": ${reason}`);
+    let countedFromEnd = null;
+    
+    const skipNumbers = new Set();
+    const addRange = (from, to) => {
+        if (from > to) {
+            throw fail(`range ${from}-${to} runs backwards`);
+        }
+        if (to - from > MAX_SKIP_RANGE) {
+            throw fail(`range ${from}-${to} is too large`);
+        }
+        for (let number = from; number <= to; number++) {
+            skipNumbers.add(number);
+        }
+    };
+    
+    // Handle both "[10,11,22]" and "10,11,22" formats, with commas and/or whitespace between entries
+    const entries = list.replace(/[\[\]]/g, '').split(/[\s,]+/).filter(Boolean);
+    for (const entry of entries) {
+        let match;
+        if (/^\d+$/.test(entry)) {
+            skipNumbers.add(Number(entry));
+        } else if ((match = /^(\d+)-(\d+)$/.exec(entry))) {
+            addRange(Number(match[1]), Number(match[2]));
+        } else if ((match = /^(\d+)-$/.exec(entry))) {
+            countedFromEnd = countedFromEnd || entry;
+            if (rollLength) {
+                addRange(Number(match[1]), Math.max(rollLength, Number(match[1])));
+            }
+        } else if ((match = /^-(\d+)$/.exec(entry))) {
+            countedFromEnd = countedFromEnd || entry;
+            if (rollLength) {
+                addRange(Math.max(1, rollLength - Number(match[1]) + 1), rollLength);
+            }
+        } else {
+            throw fail(`invalid entry "${entry}". Use numbers (10), ranges (10-15), open ranges (30-) or -N for the last N frames`);
+        }
+    }
+    
+    // The rest of the list is checked first, so a caller that can wait for the roll length knows the list is valid
+    if (countedFromEnd && !rollLength) {
+        const error = fail(`"${countedFromEnd}" counts from the end of the roll, so the roll length is needed (--roll-length)`);
+        error.needsRollLength = true;
+        throw error;
+    }
+    
+    return Array.from(skipNumbers).sort((a, b) => a - b); // Sort numbers for easier processing
+}
+
+/**
+ * Builds the result object a run resolves to, with empty lists for anything not given
+ * @param {Object} [fields] - processed, failed, skipped, excluded, plan, dryRun and, for rollbacks, restored
+ * @returns {Object} Run result
+ */
+function createRunResult(fields = {}) {
+    return { processed: [], failed: [], skipped: [], excluded: [], plan: [], dryRun: false, ...fields };
+}
+
+/**
+ * Moves original files to a 'lab scans' subdirectory and places renamed files in the top level
+ * Files are renamed to {directoryName}_NN{letterSuffix}.{extension} format
+ * @param {string} directoryPath - Path to the directory containing files to rename
+ * @param {string} [startingIndex] - Optional starting index: "x" for __X, "00" for _00, 0, 01..., "0" for 0, 01..., default for 01, 02...
+ * @param {number[]|string} [skipNumbers] - Optional array of numbers to skip when naming files, or a skip list as
+ *                                         parseSkipNumbers reads it, whose open ranges and -N count from the end of
+ *                                         the frames found
+ * @param {string} [letterSuffix] - Optional letter to append after the number (e.g., 'A' for _01A, _02A, etc.)
+ * @param {Object} [options] - Optional settings
+ * @param {boolean} [options.dryRun] - Only compute and print the plan; nothing is created, copied or renamed
+ * @param {boolean} [options.transactional] - All-or-nothing: validate up front and roll back every completed step if any file fails
+ * @param {string} [options.sort] - Order frames are numbered in: "name" (default), "natural", "exif", "mtime", "birthtime" or "size"
+ * @param {boolean} [options.reverse] - Number frames in the reverse of the sort order
+ * @param {boolean} [options.groupSidecars] - Files sharing a basename (e.g. DSC0001.ARW, DSC0001.JPG, DSC0001.xmp) share one index
+ * @param {string} [options.backupDir] - Name of the subdirectory originals are backed up into, defaults to "lab scans"
+ * @param {string} [options.template] - Filename template, e.g. "{date:YYYY-MM-DD}_{film}_{index}{ext}"; defaults to "{dir}_{index}{suffix}{ext}"
+ * @param {string} [options.film] - Film stock for the {film} template token
+ * @param {string} [options.roll] - Roll name for the {roll} template token, defaults to the directory name
+ * @param {string|Object} [options.mapping] - CSV/JSON mapping file (or object) of original filename → frame number or full new name
+ * @param {string|string[]} [options.include] - Globs of files to rename (e.g. "*.{jpg,tif}"); anything else is left untouched
+ * @param {string|string[]} [options.exclude] - Globs of files to leave untouched (e.g. "*.pdf,Thumbs.db")
+ * @param {boolean} [options.imagesOnly] - Only rename files that are JPEG, TIFF/DNG, PNG or HEIC by content
+ * @param {string} [options.onCollision] - What to do when a new name or backup is already taken: "error" (default,
+ *                                         refuse the run), "suffix" (add -1, -2...), "skip" (leave the file) or "overwrite"
+ * @param {boolean} [options.resume] - Finish a run that was interrupted, following its journal
+ * @param {boolean} [options.rollback] - Undo whatever an interrupted run had done, following its journal
+ * @param {string} [options.backupMode] - How originals are kept: "copy" (default), "hardlink", "reflink" or "none"
+ *                                        (rename only; undo renames back using the manifest)
+ * @param {string} [options.backupArchive] - Bundle the originals into a "zip" or "tar.gz" archive (e.g. lab-scans.zip)
+ *                                           in the roll folder instead of the backup directory
+ * @param {string} [options.framesFrom] - Take frame numbers from the lab's filenames instead of the sort position:
+ *                                       "noritsu", "frontier" or a regular expression whose first group is the number
+ * @param {boolean} [options.append] - Number only the files that aren't frames yet, after the roll's highest frame,
+ *                                     instead of refusing a roll that was already renamed
+ * @param {number} [options.concurrency] - Most files backed up and renamed at the same time, defaults to 4; files are
+ *                                       still numbered, logged and reported in plan order
+ * @param {Object} [options.logger] - Receives all output through log and error methods, defaults to console
+ * @param {EventEmitter} [options.emitter] - Receives "plan" ({ directory, plan, dryRun }) once the names are worked out,
+ *                                           "fileRenamed" ({ original, renamed }) and "fileFailed" ({ original, renamed,
+ *                                           error }) for each file, "progress" ({ directory, files, totalFiles, bytes,
+ *                                           totalBytes, eta in seconds or null }) as files finish, and "done" with the result
+ * @returns {Promise<Object>} Result with the processed files ({ original, renamed, backup? }), failed files
+ *                            ({ original, renamed, error }), skipped files ({ original, reason }) and excluded files
+ *                            ({ name, reason }), the planned renames ({ original, renamed }) and the dryRun flag;
+ *                            rolling back an interrupted run also lists the restored files
+ */
+async function renameFilesByAlphabeticalOrder(directoryPath, startingIndex, skipNumbers = [], letterSuffix = '', options = {}) {
+    const {
+        dryRun = false,
+        transactional = false,
+        sort = 'name',
+        reverse = false,
+        groupSidecars = false,
+        backupDir = DEFAULT_BACKUP_DIR,
+        template = DEFAULT_TEMPLATE,
+        film,
+        roll,
+        mapping,
+        include,
+        exclude,
+        imagesOnly = false,
+        onCollision = 'error',
+        resume = false,
+        rollback = false,
+        append = false,
+        backupMode = 'copy',
+        backupArchive = null,
+        framesFrom = null,
+        concurrency = DEFAULT_CONCURRENCY,
+        logger = console,
+        emitter = null
+    } = options;
+    const finish = result => {
+        if (emitter) {
+            emitter.emit('done', result);
+        }
+        return result;
+    };
+    
+    try {
+        // Validate directory and check for already renamed files
+        if (!BACKUP_MODES.includes(backupMode)) {
+            throw new Error(`Unknown backup mode "${backupMode}". Use one of: ${BACKUP_MODES.join(', ')}`);
+        }
+        if (backupArchive && !BACKUP_ARCHIVE_FORMATS.includes(backupArchive)) {
+            throw new Error(`Unknown backup archive format "${backupArchive}". Use one of: ${BACKUP_ARCHIVE_FORMATS.join(', ')}`);
+        }
+        if (backupArchive && backupMode !== 'copy') {
+            throw new Error(`A backup archive holds copies of the originals and can't be combined with backup mode "${backupMode}"`);
+        }
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`Invalid concurrency "${concurrency}". Use a whole number of files, 1 or more`);
+        }
+        getSortOrder(sort);
+        parseTemplate(template);
+        const framePattern = framesFrom ? getFramePattern(framesFrom) : null;
+        const frameMapping = loadMapping(mapping);
+        validateDirectory(directoryPath);
+        const directoryName = path.basename(directoryPath);
+        
+        // A journal means the last run stopped halfway, which the already-renamed check would otherwise refuse
+        const journal = readJournal(directoryPath);
+        if (journal) {
+            return finish(await handleInterruptedRun(directoryPath, journal, {
+                resume, rollback, dryRun, transactional, concurrency, logger, emitter
+            }));
+        }
+        if (resume || rollback) {
+            throw new Error(`No interrupted run found in ${directoryPath}, so there is nothing to ${resume ? 'resume' : 'roll back'}`);
+        }
+        if (!append) {
+            checkForAlreadyRenamedFiles(directoryPath, directoryName, backupDir);
+        }
+        
+        // Scan and sort files
+        const backupArchiveNames = BACKUP_ARCHIVE_FORMATS.map(format => getBackupArchiveName(backupDir, format));
+        const scan = scanAndSortFiles(directoryPath, {
+            sort, reverse, include, exclude, imagesOnly, groupSidecars, ignore: backupArchiveNames
+        });
+        const { excluded } = scan;
+        let fileStats = scan.files;
+        
+        // Appending leaves the existing frames alone and continues the sequence after the highest one
+        let firstNumber = 1;
+        let firstCounter = 1;
+        if (append) {
+            const existingFrames = findExistingFrames(directoryPath, directoryName);
+            fileStats = fileStats.filter(file => !existingFrames.names.has(file.name));
+            firstNumber = existingFrames.highestFrame + 1;
+            firstCounter = existingFrames.frameCount + 1;
+            logger.log(`Appending after frame ${existingFrames.highestFrame}: ${fileStats.length} new files`);
+        }
+        
+        if (fileStats.length === 0) {
+            logger.log('No files found in the directory to rename.');
+            logExcludedFiles(excluded, logger);
+            return finish(createRunResult({ excluded, dryRun }));
+        }
+        if (typeof skipNumbers === 'string') {
+            const frameCount = groupIntoFrames(fileStats, groupSidecars).length;
+            skipNumbers = parseSkipNumbers(skipNumbers, { rollLength: firstNumber - 1 + frameCount });
+        }
+
+        // Log processing information
+        logProcessingInfo(fileStats, directoryName, skipNumbers, letterSuffix, sort, reverse, framesFrom, logger);
+        if (framesFrom && (startingIndex || skipNumbers.length > 0)) {
+            logger.log('Note: the starting index and skip numbers are ignored, frame numbers come from the filenames');
+        }
+        
+        // Work out every new filename, and what to do about names that are taken, before touching anything
+        // Starting index patterns only make sense at the start of a roll
+        const planStartingIndex = append ? undefined : startingIndex;
+        const archivePaths = backupArchive ? getArchivePaths(directoryPath, { backupDir, backupArchive }) : null;
+        const archivedNames = archivePaths && fs.existsSync(archivePaths.archive)
+            ? (await listBackupArchive(archivePaths.archive)).map(({ name }) => name)
+            : undefined;
+        const { plan, skipped } = resolveCollisions(buildRenamePlan(fileStats, directoryName, planStartingIndex, skipNumbers, letterSuffix, {
+            groupSidecars, template, film, roll, mapping: frameMapping, firstNumber, firstCounter, framePattern
+        }), directoryPath, backupMode === 'none' ? null : path.join(directoryPath, backupDir), onCollision,
+        archivePaths ? archivedNames || [] : undefined, logger);
+        const plannedRenames = plan.map(({ file, newFileName }) => ({ original: file.name, renamed: newFileName }));
+        const skippedFiles = skipped.map(({ file, reason }) => ({ original: file.name, reason }));
+        if (emitter) {
+            emitter.emit('plan', { directory: directoryPath, plan: plannedRenames, dryRun });
+        }
+        
+        if (dryRun) {
+            logDryRunPlan(plan, logger);
+            logExcludedFiles(excluded, logger);
+            return finish(createRunResult({ skipped: skippedFiles, excluded, plan: plannedRenames, dryRun }));
+        }
+        
+        if (transactional) {
+            validatePlan(plan);
+        }
+        
+        // Journal the whole plan before the first step so an interrupted run can be resumed or rolled back
+        const runJournal = {
+            version: JOURNAL_VERSION,
+            directory: directoryName,
+            labScansDirExisted: fs.existsSync(path.join(directoryPath, backupDir)),
+            run: {
+                date: new Date().toISOString(),
+                append,
+                startingIndex: planStartingIndex || null,
+                skipNumbers,
+                letterSuffix,
+                sort,
+                reverse,
+                groupSidecars,
+                backupDir,
+                backupMode,
+                backupArchive,
+                template,
+                mapping: frameMapping.size > 0 ? Object.fromEntries(Array.from(frameMapping, ([original, target]) =>
+                    [original, target.frame !== undefined ? target.frame : target.name])) : null,
+                onCollision,
+                framesFrom,
+                skipped: skipped.map(({ file }) => file.name),
+                excluded: excluded.map(({ name }) => name)
+            },
+            entries: plan.map(({ file, newFileName, backupName, index, frame }) => (backupName !== file.name
+                ? { original: file.name, renamed: newFileName, backup: backupName, index, frame, state: 'pending' }
+                : { original: file.name, renamed: newFileName, index, frame, state: 'pending' }))
+        };
+        if (archivePaths) {
+            runJournal.archive = { state: 'pending', hadPrevious: archivedNames !== undefined };
+        } else if (backupMode !== 'none') {
+            createLabScansDirectory(directoryPath, backupDir, logger);
+        }
+        writeJsonFile(path.join(directoryPath, JOURNAL_FILENAME), runJournal);
+        if (archivePaths) {
+            await writeJournalArchive(directoryPath, runJournal, logger);
+        }
+        
+        logger.log('\nRenaming files and moving originals...');
+        
+        const { processed, failed } = await executeJournal(directoryPath, runJournal, transactional, { concurrency, logger, emitter });
+        completeJournal(directoryPath, runJournal, processed, excluded, logger);
+        
+        return finish(createRunResult({ processed, failed, skipped: skippedFiles, excluded, plan: plannedRenames }));
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        throw error; // Re-throw the error instead of calling process.exit
+    }
+}
+
+/**
+ * Finds the roll subfolders of a parent directory
+ * @param {string} parentPath - Directory holding one subfolder per roll
+ * @returns {string[]} Paths of the roll directories, sorted by name
+ */
+function findRollDirectories(parentPath) {
+    return fs.readdirSync(parentPath)
+        .filter(name => !name.startsWith('.') && name !== DEFAULT_BACKUP_DIR)
+        .filter(name => fs.statSync(path.join(parentPath, name)).isDirectory())
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(name => path.join(parentPath, name));
+}
+
+/**
+ * Logs a per-roll summary table after a multi-roll run
+ * @param {Array} results - Roll results from renameRolls
+ * @param {Object} [logger] - Receives the output through log and error methods, defaults to console
+ */
+function logRollsSummary(results, logger = console) {
+    const rollWidth = Math.max(4, ...results.map(result => result.roll.length));
+    const row = (roll, status, files) => `${roll.padEnd(rollWidth)}  ${status.padEnd(8)}  ${files}`;
+    
+    logger.log('\nSummary:');
+    logger.log(row('Roll', 'Status', 'Files'));
+    logger.log(row('-'.repeat(rollWidth), '-'.repeat(8), '-'.repeat(5)));
+    for (const result of results) {
+        const details = result.error ? `${result.files} (${result.error})` : String(result.files);
+        logger.log(row(result.roll, result.status, details));
+    }
+}
+
+/**
+ * Renames one roll the way renameRolls does: refusals and failures end up in the result instead of being thrown
+ * @param {string} rollPath - Roll directory
+ * @param {string} [startingIndex] - Starting index option
+ * @param {number[]|string} [skipNumbers] - Numbers to skip, or a skip list as renameFilesByAlphabeticalOrder takes it
+ * @param {string} [letterSuffix] - Letter suffix
+ * @param {Object} [options] - Options passed on to renameFilesByAlphabeticalOrder
+ * @param {boolean} [options.useConfig] - Apply the roll's .photorenamerc files for anything not given explicitly
+ * @param {Object} [options.logger] - Receives all output through log and error methods, defaults to console
+ * @returns {Promise<Object>} Result as { roll, status, files, error }, see renameRolls
+ */
+async function renameRoll(rollPath, startingIndex, skipNumbers = [], letterSuffix, options = {}) {
+    const { useConfig = false, ...renameOptions } = options;
+    const { logger = console } = options;
+    const roll = path.basename(rollPath);
+    logger.log(`\n=== Roll: ${roll} ===`);
+    
+    let rollArgs = { startingIndex, letterSuffix, options: renameOptions };
+    try {
+        if (useConfig) {
+            const { config, files } = loadConfig(rollPath);
+            files.forEach(configPath => logger.log(`Using config: ${configPath}`));
+            rollArgs = applyConfig(config, startingIndex, letterSuffix, renameOptions);
+        }
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return { roll, status: 'failed', files: 0, error: error.message };
+    }
+    
+    // Interrupted rolls go through so they are resumed, rolled back or reported as failed
+    const { resume, rollback, append } = rollArgs.options;
+    const interrupted = fs.existsSync(path.join(rollPath, JOURNAL_FILENAME));
+    if (!interrupted && (resume || rollback)) {
+        logger.log(`Skipping ${roll}: no interrupted run`);
+        return { roll, status: 'skipped', files: 0, error: null };
+    }
+    
+    try {
+        if (!interrupted && !append) {
+            checkForAlreadyRenamedFiles(rollPath, roll, rollArgs.options.backupDir);
+        }
+    } catch (error) {
+        logger.log(`Skipping ${roll}: already renamed`);
+        return { roll, status: 'skipped', files: 0, error: null };
+    }
+    
+    try {
+        const result = await renameFilesByAlphabeticalOrder(
+            rollPath, rollArgs.startingIndex, skipNumbers, rollArgs.letterSuffix, rollArgs.options);
+        let status = 'renamed';
+        let files = result.processed;
+        if (result.dryRun) {
+            status = 'planned';
+            files = result.plan;
+        } else if (result.restored) {
+            status = 'restored';
+            files = result.restored;
+        }
+        if (files.length === 0) {
+            status = 'empty';
+        }
+        if (result.failed.length > 0) {
+            return { roll, status: 'partial', files: files.length, error: `${result.failed.length} failed` };
+        }
+        return { roll, status, files: files.length, error: null };
+    } catch (error) {
+        return { roll, status: 'failed', files: 0, error: error.message };
+    }
+}
+
+/**
+ * Runs renameFilesByAlphabeticalOrder on every roll subfolder of a parent directory
+ * Rolls that have already been renamed are skipped; a failing roll doesn't stop the others
+ * @param {string} parentPath - Directory holding one subfolder per roll
+ * @param {string} [startingIndex] - Starting index option applied to every roll
+ * @param {number[]|string} [skipNumbers] - Numbers to skip in every roll, or a skip list each roll works out itself
+ * @param {string} [letterSuffix] - Letter suffix applied to every roll
+ * @param {Object} [options] - Options passed on to renameFilesByAlphabeticalOrder
+ * @param {boolean} [options.useConfig] - Apply each roll's .photorenamerc files for anything not given explicitly
+ * @param {Object} [options.logger] - Receives all output through log and error methods, defaults to console
+ * @returns {Promise<Array>} One { roll, status, files, error } result per roll; status is "renamed", "restored" (interrupted run rolled back),
+ *                            "planned" (dry run), "skipped", "empty", "partial" (some files failed) or "failed"
+ */
+async function renameRolls(parentPath, startingIndex, skipNumbers = [], letterSuffix, options = {}) {
+    const { logger = console } = options;
+    validateDirectory(parentPath);
+    
+    const rollDirectories = findRollDirectories(parentPath);
+    if (rollDirectories.length === 0) {
+        logger.log(`No roll subfolders found in: ${parentPath}`);
+        return [];
+    }
+    
+    const results = [];
+    for (const rollPath of rollDirectories) {
+        results.push(await renameRoll(rollPath, startingIndex, skipNumbers, letterSuffix, options));
+    }
+    
+    logRollsSummary(results, logger);
+    
+    return results;
+}
+
+/**
+ * Summarizes the contents of a folder, so a watcher can tell whether anything changed since it last looked
+ * @param {string} directoryPath - Folder to look at, including its subfolders
+ * @returns {Object} Object with the number of files and a signature listing every file's path, size and modification time
+ */
+function snapshotDirectory(directoryPath) {
+    const lines = [];
+    const walk = (directory, prefix) => {
+        for (const name of fs.readdirSync(directory).sort()) {
+            const stat = fs.statSync(path.join(directory, name));
+            if (stat.isDirectory()) {
+                walk(path.join(directory, name), `${prefix}${name}/`);
+            } else {
+                lines.push(`${prefix}${name}:${stat.size}:${stat.mtimeMs}`);
+            }
+        }
+    };
+    walk(directoryPath, '');
+    
+    return { files: lines.length, signature: lines.join('\n') };
+}
+
+/**
+ * Moves a folder, copying it over and removing the original when the destination is on another filesystem
+ * @param {string} source - Folder to move
+ * @param {string} destination - New path of the folder, which must not exist yet
+ */
+function moveDirectory(source, destination) {
+    try {
+        fs.renameSync(source, destination);
+        return;
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+    }
+    
+    const copy = (from, to) => {
+        fs.mkdirSync(to);
+        for (const name of fs.readdirSync(from)) {
+            const stat = fs.statSync(path.join(from, name));
+            if (stat.isDirectory()) {
+                copy(path.join(from, name), path.join(to, name));
+            } else {
+                fs.copyFileSync(path.join(from, name), path.join(to, name));
+                fs.utimesSync(path.join(to, name), stat.atime, stat.mtime);
+            }
+        }
+    };
+    copy(source, destination);
+    removeDirectory(source);
+}
+
+/**
+ * Watches an inbox folder where lab deliveries are unzipped and renames each roll subfolder once it stops changing
+ * The inbox is polled, as fs.watch can't follow subfolders on every platform. A roll is renamed with its own
+ * .photorenamerc files once its files have been unchanged for the settle time, and can then be moved to an archive
+ * folder. A roll that was handled, whatever the outcome, is only looked at again once its contents change.
+ * @param {string} inboxPath - Folder the roll subfolders land in
+ * @param {string} [startingIndex] - Starting index option applied to every roll
+ * @param {number[]|string} [skipNumbers] - Numbers to skip in every roll, or a skip list each roll works out itself
+ * @param {string} [letterSuffix] - Letter suffix applied to every roll
+ * @param {Object} [options] - Options passed on to renameFilesByAlphabeticalOrder, plus the watch settings
+ * @param {number} [options.settleTime] - Milliseconds a roll must stay unchanged before it is renamed, defaults to a minute
+ * @param {number} [options.pollInterval] - Milliseconds between looks at the inbox, defaults to 5 seconds or the settle
+ *                                          time if that is shorter
+ * @param {string} [options.archiveDir] - Folder renamed rolls are moved into (created if needed); without it they stay
+ * @param {Object} [options.logger] - Receives all output through log and error methods, defaults to console
+ * @param {EventEmitter} [options.emitter] - Receives the events of each roll's run, and a "roll" event with each roll
+ *                                           result ({ roll, status, files, error, archivedTo })
+ * @returns {Object} Watcher whose close method stops watching, lets a roll being renamed finish, logs the summary and
+ *                   resolves with the roll results
+ * @throws {RefusedError} If the inbox doesn't exist or isn't a directory
+ */
+function watchInbox(inboxPath, startingIndex, skipNumbers = [], letterSuffix, options = {}) {
+    const { settleTime = DEFAULT_SETTLE_TIME, pollInterval: givenPollInterval, archiveDir = null, ...renameOptions } = options;
+    const { logger = console, emitter = null } = options;
+    const pollInterval = givenPollInterval !== undefined ? givenPollInterval : Math.min(DEFAULT_POLL_INTERVAL, settleTime);
+    validateDirectory(inboxPath);
+    if (!(settleTime > 0) || !(pollInterval > 0)) {
+        throw new Error('Invalid watch timing: the settle time and poll interval must be positive numbers of milliseconds');
+    }
+    if (archiveDir) {
+        fs.mkdirSync(archiveDir, { recursive: true });
+    }
+    
+    // What each roll looked like when last seen, since when, and whether it was handled in that state
+    const rolls = new Map();
+    const results = [];
+    let closed = false;
+    let timer = null;
+    let polling = Promise.resolve();
+    
+    const handleRoll = async rollPath => {
+        const roll = path.basename(rollPath);
+        const result = await renameRoll(rollPath, startingIndex, skipNumbers, letterSuffix, { ...renameOptions, useConfig: true });
+        let archivedTo = null;
+        if (archiveDir && result.status === 'renamed') {
+            const destination = path.join(archiveDir, roll);
+            try {
+                if (fs.existsSync(destination)) {
+                    throw new Error(`${destination} already exists`);
+                }
+                moveDirectory(rollPath, destination);
+                archivedTo = destination;
+            } catch (error) {
+                logger.error(`Could not move ${roll} to the archive (${error.message}); it was left in the inbox`);
+            }
+        }
+        
+        const details = result.error ? `${result.files} files, ${result.error}` : `${result.files} files`;
+        logger.log(`Watch: ${roll} ${result.status} (${details})${archivedTo ? `, moved to ${archivedTo}` : ''}`);
+        results.push({ ...result, archivedTo });
+        if (emitter) {
+            emitter.emit('roll', { ...result, archivedTo });
+        }
+    };
+    
+    const poll = async () => {
+        const archivePath = archiveDir ? path.resolve(archiveDir) : null;
+        const rollPaths = findRollDirectories(inboxPath).filter(rollPath => path.resolve(rollPath) !== archivePath);
+        // Forget rolls that are gone, so a new delivery under the same name is picked up
+        const names = new Set(rollPaths.map(rollPath => path.basename(rollPath)));
+        Array.from(rolls.keys()).filter(roll => !names.has(roll)).forEach(roll => rolls.delete(roll));
+        
+        for (const rollPath of rollPaths) {
+            if (closed) {
+                break;
+            }
+            const roll = path.basename(rollPath);
+            let snapshot = null;
+            try {
+                snapshot = snapshotDirectory(rollPath);
+            } catch (error) {
+                // A file vanished while the folder was read, so the delivery is still being unpacked
+            }
+            
+            const seen = rolls.get(roll);
+            if (!seen || !snapshot || seen.signature !== snapshot.signature) {
+                rolls.set(roll, { signature: snapshot && snapshot.signature, since: Date.now(), handled: false });
+                continue;
+            }
+            if (seen.handled || snapshot.files === 0 || Date.now() - seen.since < settleTime) {
+                continue;
+            }
+            
+            await handleRoll(rollPath);
+            seen.handled = true;
+            // Renaming changes the folder itself; only changes after that count
+            try {
+                seen.signature = snapshotDirectory(rollPath).signature;
+            } catch (error) {
+                rolls.delete(roll);
+            }
+        }
+    };
+    
+    const tick = () => {
+        timer = null;
+        polling = poll()
+            .catch(error => logger.error(`Could not check ${inboxPath}: ${error.message}`))
+            .then(() => {
+                if (!closed) {
+                    timer = setTimeout(tick, pollInterval);
+                }
+            });
+    };
+    
+    logger.log(`Watching ${inboxPath} for new rolls (renamed after ${settleTime / 1000}s without changes)`);
+    tick();
+    
+    return {
+        close: async () => {
+            closed = true;
+            if (timer) {
+                clearTimeout(timer);
+            }
+            await polling;
+            if (results.length > 0) {
+                logRollsSummary(results, logger);
+            }
+            return results;
+        }
+    };
+}
+
+/**
+ * Checks that every file recorded in the manifest can be safely put back
+ * Entries are replayed in undo order against a view of the roll, because undoing one entry can free or
+ * fill a name that a later one needs (a frame replaced twice goes through the same name more than once)
+ * @param {string} directoryPath - Roll directory
+ * @param {Array} entries - Manifest file entries with the backupDir of their run, newest first
+ * @param {Map} [archiveContents] - Names stored in each backup archive the entries use, by archive path
+ * @returns {Promise<string[]>} Human-readable descriptions of the conflicts found
+ */
+async function findUndoConflicts(directoryPath, entries, archiveContents = new Map()) {
+    const conflicts = [];
+    // Names whose content changes during the undo: the path the content will come from, or null once deleted;
+    // content coming out of an archive is known to exist but can't be hashed until it is extracted
+    const changes = new Map();
+    const contentPath = name => (changes.has(name) ? changes.get(name) : path.join(directoryPath, name));
+    const exists = name => contentPath(name) !== null &&
+        (typeof contentPath(name) !== 'string' || fs.existsSync(contentPath(name)));
+    
+    for (const entry of entries) {
+        const backupName = entry.backup || entry.original;
+        // Without a backup the renamed file itself is what gets renamed back
+        let backupPath = path.join(directoryPath, entry.backupDir, backupName);
+        if (entry.backupMode === 'none') {
+            backupPath = contentPath(entry.renamed);
+        } else if (entry.archivePath) {
+            backupPath = { archive: entry.archivePath, name: backupName };
+        }
+        
+        if (exists(entry.renamed) && entry.sha256 && typeof contentPath(entry.renamed) === 'string' &&
+            await hashFile(contentPath(entry.renamed)) !== entry.sha256) {
+            conflicts.push(`${entry.renamed}: file has been modified since it was renamed`);
+        }
+        if (entry.backupMode === 'none' && !exists(entry.renamed)) {
+            conflicts.push(`${entry.renamed}: file is missing and there is no backup to restore`);
+        }
+        changes.set(entry.renamed, null);
+        
+        if (entry.superseded) {
+            const supersededPath = path.join(directoryPath, entry.backupDir, entry.superseded);
+            if (!fs.existsSync(supersededPath)) {
+                conflicts.push(`${entry.replaced}: superseded version is missing from ${entry.backupDir}/${entry.superseded}`);
+            }
+            if (exists(entry.replaced)) {
+                conflicts.push(`${entry.replaced}: a file with this name already exists in the roll`);
+            }
+            changes.set(entry.replaced, supersededPath);
+        }
+        // Rescans copied in from elsewhere by replace have no backup; their source was left where it was
+        if (!entry.source) {
+            if (entry.archivePath) {
+                if (!archiveContents.has(entry.archivePath) || !archiveContents.get(entry.archivePath).has(backupName)) {
+                    conflicts.push(`${entry.original}: backup is missing from ${path.basename(entry.archivePath)}`);
+                }
+            } else if (entry.backupMode !== 'none' && !fs.existsSync(backupPath)) {
+                conflicts.push(`${entry.original}: backup is missing from ${entry.backupDir}`);
+            }
+            if (exists(entry.original)) {
+                conflicts.push(`${entry.original}: a file with this name already exists in the roll`);
+            }
+            changes.set(entry.original, backupPath);
+        }
+    }
+    
+    return conflicts;
+}
+
+/**
+ * Reverses every recorded run in a roll: removes the renamed files, moves the originals back
+ * out of lab scans and removes the manifest and the (then empty) lab scans directory
+ * @param {string} directoryPath - Roll directory that was previously renamed
+ * @param {Object} [options] - Optional settings
+ * @param {Object} [options.logger] - Receives all output through log and error methods, defaults to console
+ * @returns {Promise<Array>} Restored files as { original, renamed } objects
+ * @throws {Error} If there is no manifest or any file can't be restored safely; nothing is changed in that case
+ */
+async function undoRename(directoryPath, options = {}) {
+    const { logger = console } = options;
+    
+    try {
+        validateDirectory(directoryPath);
+        
+        if (readJournal(directoryPath)) {
+            throw new InterruptedRunError(`The last run in ${directoryPath} was interrupted. ` +
+                'Resume it (--resume) or roll it back (--rollback) before undoing earlier runs');
+        }
+        
+        const manifest = readManifest(directoryPath);
+        if (!manifest || manifest.runs.length === 0) {
+            throw new Error(`No rename manifest found in ${directoryPath}. Nothing to undo.`);
+        }
+        
+        // Undo the most recent run first so files renamed more than once unwind correctly
+        const entries = manifest.runs.slice().reverse().reduce((all, run) => {
+            const backupDir = run.backupDir || DEFAULT_BACKUP_DIR;
+            const backupMode = run.backupMode || 'copy';
+            const archivePath = run.backupArchive
+                ? getArchivePaths(directoryPath, { backupDir, backupArchive: run.backupArchive }).archive
+                : null;
+            return all.concat(run.files.slice().reverse().map(file => ({ ...file, backupDir, backupMode, archivePath })));
+        }, []);
+        
+        const archivePaths = Array.from(new Set(entries.filter(entry => entry.archivePath).map(entry => entry.archivePath)));
+        const archiveContents = new Map();
+        for (const archivePath of archivePaths.filter(archivePath => fs.existsSync(archivePath))) {
+            archiveContents.set(archivePath, new Set((await listBackupArchive(archivePath)).map(({ name }) => name)));
+        }
+        
+        const conflicts = await findUndoConflicts(directoryPath, entries, archiveContents);
+        if (conflicts.length > 0) {
+            throw new Error(`Cannot undo, nothing was changed:\n  ${conflicts.join('\n  ')}`);
+        }
+        
+        // Archived originals are extracted next to the archive first, so a damaged archive stops the undo before
+        // anything in the roll has changed
+        const extractedDirs = new Map();
+        try {
+            for (const archivePath of archivePaths) {
+                const extractedDir = path.join(directoryPath, `.${path.basename(archivePath)}.restore`);
+                extractedDirs.set(archivePath, extractedDir);
+                fs.mkdirSync(extractedDir, { recursive: true });
+                await extractBackupArchive(archivePath, new Set(entries
+                    .filter(entry => entry.archivePath === archivePath && !entry.source)
+                    .map(entry => entry.backup || entry.original)), extractedDir);
+            }
+        } catch (error) {
+            extractedDirs.forEach(extractedDir => removeDirectory(extractedDir));
+            throw new Error(`Cannot undo, nothing was changed: could not extract the backup archive (${error.message})`);
+        }
+        
+        logger.log(`Restoring ${entries.length} files in: ${directoryPath}`);
+        
+        const restoredFiles = [];
+        for (const entry of entries) {
+            const renamedPath = path.join(directoryPath, entry.renamed);
+            
+            if (entry.backupMode === 'none') {
+                fs.renameSync(renamedPath, path.join(directoryPath, entry.original));
+                logger.log(`Restored: ${entry.renamed} → ${entry.original}`);
+                restoredFiles.push({ original: entry.original, renamed: entry.renamed });
+                continue;
+            }
+            if (fs.existsSync(renamedPath)) {
+                fs.unlinkSync(renamedPath);
+            } else {
+                logger.log(`Note: ${entry.renamed} was already deleted`);
+            }
+            
+            if (entry.superseded) {
+                // A replaced frame gets its previous version back
+                const supersededPath = path.join(directoryPath, entry.backupDir, entry.superseded);
+                fs.renameSync(supersededPath, path.join(directoryPath, entry.replaced));
+                removeEmptyDirectories(path.dirname(supersededPath), path.join(directoryPath, entry.backupDir));
+                logger.log(`Restored: ${entry.renamed} → ${entry.replaced} (previous version)`);
+            }
+            if (!entry.source) {
+                const backupLocation = entry.archivePath ? extractedDirs.get(entry.archivePath) : path.join(directoryPath, entry.backupDir);
+                fs.renameSync(path.join(backupLocation, entry.backup || entry.original), path.join(directoryPath, entry.original));
+                logger.log(`Restored: ${entry.renamed} → ${entry.original}`);
+            }
+            
+            restoredFiles.push({ original: entry.original, renamed: entry.renamed });
+        }
+        
+        fs.unlinkSync(path.join(directoryPath, MANIFEST_FILENAME));
+        
+        for (const archivePath of archivePaths) {
+            fs.rmdirSync(extractedDirs.get(archivePath));
+            fs.unlinkSync(archivePath);
+            logger.log(`Removed backup archive: ${archivePath}`);
+        }
+        for (const backupDir of new Set(entries.map(entry => entry.backupDir))) {
+            const labScansDir = path.join(directoryPath, backupDir);
+            if (fs.existsSync(labScansDir) && fs.readdirSync(labScansDir).length === 0) {
+                fs.rmdirSync(labScansDir);
+                logger.log(`Removed empty subdirectory: ${labScansDir}`);
+            }
+        }
+        
+        logger.log(`\nUndo complete! Restored ${restoredFiles.length} files.`);
+        
+        return restoredFiles;
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Removes a directory and its parents while they are empty, stopping at (and excluding) a given ancestor
+ * @param {string} directoryPath - Innermost directory to remove
+ * @param {string} stopAt - Ancestor directory that is never removed
+ */
+function removeEmptyDirectories(directoryPath, stopAt) {
+    let current = directoryPath;
+    while (current !== stopAt && current.startsWith(stopAt) && fs.existsSync(current) && fs.readdirSync(current).length === 0) {
+        fs.rmdirSync(current);
+        current = path.dirname(current);
+    }
+}
+
+/**
+ * Converts a frame as typed on the command line into the index string used in filenames
+ * "x" → "__X", "00" → "_00", "0" → "0", and any other number N → N padded to two digits
+ * @param {string|number} frame - Frame to look up
+ * @returns {string} Index string
+ * @throws {Error} If the frame isn't one of these forms
+ */
+function frameToIndex(frame) {
+    const value = String(frame);
+    if (value === 'x' || value === 'X') {
+        return '__X';
+    }
+    if (value === '00') {
+        return '_00';
+    }
+    if (/^\d+$/.test(value)) {
+        return formatFrameIndex(Number(value));
+    }
+    throw new Error(`Invalid frame "${value}". Use a frame number, or x, 00 or 0 for the special starting indexes`);
+}
+
+/**
+ * Finds the files currently holding a frame, from the manifest and from {dir}_{index} filenames
+ * @param {string} directoryPath - Roll directory
+ * @param {string} index - Index string from frameToIndex
+ * @returns {string[]} Filenames of the frame (several when sidecars share it)
+ */
+function findFrameFiles(directoryPath, index) {
+    const directoryName = path.basename(directoryPath);
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // The index must not run on into more digits, so frame 1 doesn't match _10 and "0" doesn't match _01
+    const framePattern = new RegExp(`^${escape(directoryName)}_${escape(index)}(?!\\d)`);
+    const names = new Set();
+    
+    const manifest = readManifest(directoryPath);
+    (manifest ? manifest.runs : []).forEach(run => run.files.forEach(entry => {
+        if (entry.index === index) {
+            names.add(entry.renamed);
+        }
+    }));
+    fs.readdirSync(directoryPath).forEach(name => {
+        if (framePattern.test(name)) {
+            names.add(name);
         }
+    });
+    
+    return Array.from(names).filter(name => fs.existsSync(path.join(directoryPath, name))).sort();
+}
 
-        // Log processing information
-        logProcessingInfo(fileStats, directoryName, skipNumbers, letterSuffix);
+/**
+ * Swaps one frame of a processed roll for a rescan, keeping the frame's exact name (index, suffix and all)
+ * and only taking the extension from the new file. The superseded version is archived in
+ * <lab scans>/superseded/v<N>/, with N counting up each time the same file is replaced.
+ * A rescan inside the roll directory is moved into place and backed up like any original;
+ * one from elsewhere is copied in and left where it was.
+ * @param {string} directoryPath - Roll directory that was previously renamed
+ * @param {string|number} frame - Frame to replace: a number, or "x", "00" or "0" for the special starting indexes
+ * @param {string} replacementPath - The rescanned file
+ * @param {Object} [options] - Optional settings
+ * @param {boolean} [options.dryRun] - Only print what would happen
+ * @param {string} [options.backupDir] - Backup folder, defaults to the one recorded in the manifest or "lab scans"
+ * @param {Object} [options.logger] - Receives all output through log and error methods, defaults to console
+ * @returns {Promise<Object>} The replacement as { original, renamed, replaced, superseded }
+ * @throws {Error} If the frame can't be found unambiguously or the new name is taken; nothing is changed in that case
+ */
+async function replaceFrame(directoryPath, frame, replacementPath, options = {}) {
+    const { dryRun = false, logger = console } = options;
+    
+    try {
+        validateDirectory(directoryPath);
+        if (readJournal(directoryPath)) {
+            throw new InterruptedRunError(`The last run in ${directoryPath} was interrupted. ` +
+                'Resume it (--resume) or roll it back (--rollback) before replacing frames');
+        }
+        if (!fs.existsSync(replacementPath) || !fs.statSync(replacementPath).isFile()) {
+            throw new Error(`Replacement file not found: ${replacementPath}`);
+        }
         
-        // Process files
-        const processedFiles = [];
-        const state = { currentNumber: 1 }; // Start counting from 1
+        const index = frameToIndex(frame);
+        const replacementName = path.basename(replacementPath);
+        const extension = path.extname(replacementName);
+        const frameFiles = findFrameFiles(directoryPath, index)
+            .filter(name => path.resolve(directoryPath, name) !== path.resolve(replacementPath));
         
-        for (let i = 0; i < fileStats.length; i++) {
-            const file = fileStats[i];
-            const index = calculateFileIndex(i, startingIndex, skipNumbers, state);
-            const newFileName = `${directoryName}_${index}${letterSuffix}${file.extension}`;
-            
-            try {
-                const result = processFile(file, newFileName, directoryPath, labScansDir);
-                processedFiles.push(result);
-            } catch (error) {
-                console.error(`Error processing ${file.name}: ${error.message}`);
+        // With sidecars a frame has several files; the rescan replaces the one of the same type
+        let replaced = frameFiles.length === 1 ? frameFiles[0] : null;
+        if (frameFiles.length > 1) {
+            const sameType = frameFiles.filter(name => path.extname(name).toLowerCase() === extension.toLowerCase());
+            replaced = sameType.length === 1 ? sameType[0] : null;
+        }
+        if (frameFiles.length === 0) {
+            throw new Error(`Frame ${frame} was not found in ${directoryPath}`);
+        }
+        if (!replaced) {
+            throw new Error(`Frame ${frame} has several files (${frameFiles.join(', ')}); none is clearly the one to replace with ${replacementName}`);
+        }
+        
+        const renamed = replaced.slice(0, replaced.length - path.extname(replaced).length) + extension;
+        if (renamed !== replaced && fs.existsSync(path.join(directoryPath, renamed))) {
+            throw new Error(`${renamed} already exists`);
+        }
+        
+        const manifest = readManifest(directoryPath);
+        const lastRun = manifest && manifest.runs.length > 0 ? manifest.runs[manifest.runs.length - 1] : null;
+        const backupDir = options.backupDir || (lastRun && lastRun.backupDir) || DEFAULT_BACKUP_DIR;
+        const labScansDir = path.join(directoryPath, backupDir);
+        
+        let version = 1;
+        while (fs.existsSync(path.join(labScansDir, 'superseded', `v${version}`, replaced))) {
+            version++;
+        }
+        const superseded = `superseded/v${version}/${replaced}`;
+        const inRoll = path.resolve(path.dirname(replacementPath)) === path.resolve(directoryPath);
+        let backupName = null;
+        if (inRoll) {
+            const backupTaken = name => fs.existsSync(path.join(labScansDir, name));
+            backupName = backupTaken(replacementName) ? findFreeName(replacementName, backupTaken) : replacementName;
+        }
+        
+        if (dryRun) {
+            logger.log(`\nDry run - frame ${frame} would be replaced:`);
+            logger.log(`${replaced} → ${backupDir}/${superseded}`);
+            logger.log(`${replacementName} → ${renamed}`);
+            logger.log('\nDry run complete. No files were copied or renamed.');
+            return { original: replacementName, renamed, replaced, superseded };
+        }
+        
+        const details = await describeFile({ path: replacementPath });
+        const supersededPath = path.join(labScansDir, superseded);
+        fs.mkdirSync(path.dirname(supersededPath), { recursive: true });
+        fs.renameSync(path.join(directoryPath, replaced), supersededPath);
+        logger.log(`Archived: ${replaced} → ${backupDir}/${superseded}`);
+        
+        const entry = { original: replacementName, renamed, index, frame: indexToFrame(index) };
+        if (inRoll) {
+            fs.copyFileSync(replacementPath, path.join(labScansDir, backupName));
+            fs.renameSync(replacementPath, path.join(directoryPath, renamed));
+            if (backupName !== replacementName) {
+                entry.backup = backupName;
             }
+        } else {
+            fs.copyFileSync(replacementPath, path.join(directoryPath, renamed));
+            entry.source = path.resolve(replacementPath);
+        }
+        logger.log(`Replaced: frame ${frame} is now ${renamed} (from ${replacementName})`);
+        
+        const manifestPath = writeManifest(directoryPath, {
+            date: new Date().toISOString(),
+            type: 'replace',
+            backupDir,
+            files: [{ ...entry, replaced, superseded, ...details }]
+        });
+        logger.log(`\nManifest written to: ${manifestPath}`);
+        
+        return { original: replacementName, renamed, replaced, superseded };
+    } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        throw error;
+    }
+}
+
+// Command line options, in the order they are listed by --help
+const CLI_OPTIONS = {
+    dir: { alias: 'd', value: 'path', description: 'Roll directory (default: current directory)' },
+    start: { alias: 's', value: 'x|0|00', description: 'Starting index pattern (default: 01)' },
+    skip: { value: 'list', description: 'Numbers to skip, e.g. 10-12,22 or 30- or -2 or @file' },
+    'roll-length': { value: 'frames', description: 'Frames on the roll, for open ranges and -N in --skip (default: the frames found)' },
+    suffix: { value: 'letters', description: 'Letter suffix after the number, e.g. A' },
+    template: { value: 'template', description: 'Filename template (default: {dir}_{index}{suffix}{ext})' },
+    film: { value: 'name', description: 'Film stock for the {film} template token' },
+    roll: { value: 'name', description: 'Roll name for the {roll} template token' },
+    mapping: { value: 'file', description: 'CSV/JSON file assigning frame numbers or names to listed files' },
+    'frames-from': { value: 'preset|regex', description: 'Read frame numbers from lab filenames: noritsu, frontier or a regex' },
+    include: { value: 'globs', description: 'Only rename files matching these globs, e.g. "*.{jpg,tif}"' },
+    exclude: { value: 'globs', description: 'Leave files matching these globs untouched, e.g. "*.pdf,Thumbs.db"' },
+    'images-only': { description: 'Only rename JPEG, TIFF/DNG, PNG and HEIC files (detected by content)' },
+    'on-collision': { value: 'policy', description: 'When a name is taken: error (default), suffix, skip or overwrite' },
+    'backup-mode': { value: 'mode', description: 'How originals are kept: copy (default), hardlink, reflink or none' },
+    'backup-archive': { value: 'format', description: 'Bundle the originals into lab-scans.zip or lab-scans.tar.gz (zip or tar.gz)' },
+    append: { description: 'Number new files after the highest frame of an already renamed roll' },
+    resume: { description: 'Finish a run that was interrupted halfway' },
+    rollback: { description: 'Put back the original files of a run that was interrupted halfway' },
+    sort: { value: 'order', description: 'name (default), natural, exif, mtime, birthtime or size' },
+    reverse: { description: 'Number frames in the reverse of the sort order' },
+    'group-sidecars': { description: 'Give RAW/JPEG/XMP files with the same basename one number' },
+    recursive: { alias: 'r', description: 'Treat the directory as a folder of rolls and rename each one' },
+    transactional: { description: 'Roll back the whole roll if any file fails' },
+    concurrency: { value: 'files', description: 'Files backed up and renamed at the same time (default: 4)' },
+    settle: { value: 'seconds', description: 'watch: how long a roll must stay unchanged before it is renamed (default: 60)' },
+    'archive-to': { value: 'dir', description: 'watch: move renamed rolls into this folder' },
+    'dry-run': { alias: 'n', description: 'Print the rename plan without changing anything' },
+    json: { description: 'Print one JSON report when done; text output goes to stderr' },
+    ndjson: { description: 'Print one JSON line per event (plan, each file, done); text output goes to stderr' },
+    quiet: { description: 'Only print errors' },
+    verbose: { description: 'Also print the settings in effect and how long the run took' },
+    help: { alias: 'h', description: 'Show this help' },
+    version: { alias: 'v', description: 'Show the version number' }
+};
+
+// Exit codes of the command line: "refused" means a roll was left alone before anything changed (invalid directory,
+// already renamed, interrupted run, unresolved collisions), "partial" that the run finished but some files failed
+const EXIT_CODES = {
+    success: 0,
+    error: 1,
+    refused: 2,
+    partial: 3
+};
+
+// Values accepted for the starting index; "" is the old positional placeholder for "default"
+const STARTING_INDEX_OPTIONS = ['', 'x', 'X', '00', '0', '01', '1'];
+
+// Settings a .photorenamerc may hold, with their expected type
+const CONFIG_KEYS = {
+    startingIndex: 'string',
+    letterSuffix: 'string',
+    sort: 'string',
+    reverse: 'boolean',
+    groupSidecars: 'boolean',
+    transactional: 'boolean',
+    backupDir: 'string',
+    template: 'string',
+    film: 'string',
+    roll: 'string',
+    include: 'string',
+    exclude: 'string',
+    imagesOnly: 'boolean',
+    onCollision: 'string',
+    backupMode: 'string',
+    backupArchive: 'string',
+    framesFrom: 'string',
+    concurrency: 'number'
+};
+
+/**
+ * Checks the settings read from a config file
+ * @param {*} config - Parsed JSON content
+ * @param {string} configPath - Path of the file, used in error messages
+ * @throws {ConfigError} If the content isn't an object or holds an unknown or invalid setting
+ */
+function validateConfig(config, configPath) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ConfigError(`${configPath}: expected a JSON object`);
+    }
+    
+    for (const key of Object.keys(config)) {
+        if (!Object.prototype.hasOwnProperty.call(CONFIG_KEYS, key)) {
+            throw new ConfigError(`${configPath}: unknown setting "${key}". Supported: ${Object.keys(CONFIG_KEYS).join(', ')}`);
+        }
+        if (typeof config[key] !== CONFIG_KEYS[key]) {
+            throw new ConfigError(`${configPath}: "${key}" must be a ${CONFIG_KEYS[key]}`);
+        }
+    }
+    
+    if (config.startingIndex !== undefined && !STARTING_INDEX_OPTIONS.includes(config.startingIndex)) {
+        throw new ConfigError(`${configPath}: invalid startingIndex "${config.startingIndex}". Use x, 0 or 00`);
+    }
+    if (config.sort !== undefined && !Object.prototype.hasOwnProperty.call(SORT_ORDERS, config.sort)) {
+        throw new ConfigError(`${configPath}: invalid sort "${config.sort}". Use one of: ${Object.keys(SORT_ORDERS).join(', ')}`);
+    }
+    if (config.template !== undefined) {
+        try {
+            parseTemplate(config.template);
+        } catch (error) {
+            throw new ConfigError(`${configPath}: ${error.message}`);
+        }
+    }
+    if (config.framesFrom !== undefined) {
+        try {
+            getFramePattern(config.framesFrom);
+        } catch (error) {
+            throw new ConfigError(`${configPath}: ${error.message}`);
+        }
+    }
+    ['include', 'exclude'].forEach(key => {
+        try {
+            parseGlobs(config[key]);
+        } catch (error) {
+            throw new ConfigError(`${configPath}: ${key}: ${error.message}`);
+        }
+    });
+    if (config.onCollision !== undefined && !COLLISION_POLICIES.includes(config.onCollision)) {
+        throw new ConfigError(`${configPath}: invalid onCollision "${config.onCollision}". Use one of: ${COLLISION_POLICIES.join(', ')}`);
+    }
+    if (config.backupArchive !== undefined && !BACKUP_ARCHIVE_FORMATS.includes(config.backupArchive)) {
+        throw new ConfigError(`${configPath}: invalid backupArchive "${config.backupArchive}". Use one of: ${BACKUP_ARCHIVE_FORMATS.join(', ')}`);
+    }
+    if (config.backupMode !== undefined && !BACKUP_MODES.includes(config.backupMode)) {
+        throw new ConfigError(`${configPath}: invalid backupMode "${config.backupMode}". Use one of: ${BACKUP_MODES.join(', ')}`);
+    }
+    if (config.concurrency !== undefined && (!Number.isInteger(config.concurrency) || config.concurrency < 1)) {
+        throw new ConfigError(`${configPath}: concurrency must be a whole number of files, 1 or more`);
+    }
+    if (config.backupDir !== undefined && (!config.backupDir || /[\\/]/.test(config.backupDir) || /^\.+$/.test(config.backupDir))) {
+        throw new ConfigError(`${configPath}: backupDir must be a plain folder name`);
+    }
+}
+
+/**
+ * Finds the config files that apply to a directory, least specific first
+ * @param {string} directoryPath - Roll directory
+ * @returns {string[]} Existing config file paths: home directory, then each parent down to the roll itself
+ */
+function findConfigFiles(directoryPath) {
+    const candidates = [];
+    let current = path.resolve(directoryPath);
+    
+    for (;;) {
+        candidates.unshift(path.join(current, CONFIG_FILENAME));
+        const parent = path.dirname(current);
+        if (parent === current) {
+            break;
+        }
+        current = parent;
+    }
+    
+    const homeConfig = path.join(os.homedir(), CONFIG_FILENAME);
+    if (!candidates.includes(homeConfig)) {
+        candidates.unshift(homeConfig);
+    }
+    
+    return candidates.filter(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+}
+
+/**
+ * Loads and merges the .photorenamerc files that apply to a directory; settings closer to the roll win
+ * @param {string} directoryPath - Roll directory
+ * @returns {Object} Object with the merged config and the files it was read from
+ * @throws {ConfigError} If a config file can't be parsed or is invalid
+ */
+function loadConfig(directoryPath) {
+    const files = findConfigFiles(directoryPath);
+    const config = {};
+    
+    for (const configPath of files) {
+        let fileConfig;
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            throw new ConfigError(`${configPath}: ${error.message}`);
+        }
+        validateConfig(fileConfig, configPath);
+        Object.assign(config, fileConfig);
+    }
+    
+    return { config, files };
+}
+
+/**
+ * Fills in arguments that weren't given explicitly from a loaded config
+ * @param {Object} config - Merged config from loadConfig
+ * @param {string} [startingIndex] - Explicit starting index, if any
+ * @param {string} [letterSuffix] - Explicit letter suffix, if any
+ * @param {Object} [options] - Explicit rename options; undefined values don't override the config
+ * @returns {Object} Object with the resulting startingIndex, letterSuffix and options
+ */
+function applyConfig(config, startingIndex, letterSuffix, options = {}) {
+    const { startingIndex: configStartingIndex, letterSuffix: configLetterSuffix, ...configOptions } = config;
+    const explicitOptions = {};
+    Object.keys(options).forEach(key => {
+        if (options[key] !== undefined) {
+            explicitOptions[key] = options[key];
         }
+    });
+    
+    return {
+        startingIndex: startingIndex !== undefined ? startingIndex : configStartingIndex,
+        letterSuffix: letterSuffix !== undefined ? letterSuffix : configLetterSuffix,
+        options: { ...configOptions, ...explicitOptions }
+    };
+}
+
+/**
+ * Tells whether a flag can be turned off with --no-<flag>: the on/off switches a config file can turn on
+ * @param {string} name - Option name as on the command line, e.g. "group-sidecars"
+ * @returns {boolean} True for flags without a value that have a boolean config setting
+ */
+function isNegatable(name) {
+    const option = CLI_OPTIONS[name];
+    const configKey = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    return Boolean(option) && !option.value && CONFIG_KEYS[configKey] === 'boolean';
+}
+
+/**
+ * Builds the --help text from CLI_OPTIONS
+ * @returns {string} Usage text
+ */
+function formatUsage() {
+    const optionLines = Object.keys(CLI_OPTIONS).map(name => {
+        const option = CLI_OPTIONS[name];
+        const flag = `${option.alias ? `-${option.alias}, ` : '    '}--${name}${option.value ? ` <${option.value}>` : ''}`;
+        return `  ${flag.padEnd(28)}${option.description}`;
+    });
+    
+    return [
+        'Usage: rename-files [directory] [startingIndex] [skipNumbers] [letterSuffix] [options]',
+        '       rename-files undo [directory]',
+        '       rename-files replace <frame> <file> [directory]',
+        '       rename-files watch [inbox] [options]',
+        '',
+        'Renames the files in a roll directory to {directory}_NN{suffix}.{ext},',
+        'keeping the originals in a "lab scans" subdirectory.',
+        'Defaults can be set in .photorenamerc files (roll, parent or home directory).',
+        '',
+        'Options:',
+        ...optionLines,
+        `  Turn off a switch set in a config file with ${Object.keys(CLI_OPTIONS).filter(isNegatable).map(name => `--no-${name}`).join(', ')}`,
+        '',
+        'Commands:',
+        '  undo, restore               Reverse previous runs using the roll\'s manifest',
+        '  replace <frame> <file>      Swap a frame for a rescan, keeping its name; the old version is archived',
+        '  watch [inbox]               Rename each roll subfolder that lands in the inbox once it stops changing',
+        '',
+        'Examples:',
+        '  rename-files ~/scans/roll-12 --start x --skip 10-12,22 --suffix A',
+        '  rename-files ~/scans/roll-12 --skip 30- --roll-length 36',
+        '  rename-files ~/scans/roll-12 "0" "2,4" "A"     (positional form)'
+    ].join('\n');
+}
 
-        // Log completion summary
-        logCompletionSummary(processedFiles.length, startingIndex, skipNumbers, letterSuffix, directoryPath, labScansDir);
+/**
+ * Parses command line arguments; named flags take precedence over the positional form
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed command with directoryPath, startingIndex, skipNumbers, letterSuffix, output ("text", "json" or "ndjson"),
+ *                   verbosity ("quiet", "normal" or "verbose"), the watch settleTime (ms) and archiveDir, and rename
+ *                   options (undefined when not given); skipNumbers stays the list as typed when it counts from the end
+ *                   of the roll and there is no --roll-length
+ * @throws {UsageError} If an option is unknown, misses its value or has an invalid value
+ */
+function parseArgs(argv) {
+    const aliases = {};
+    Object.keys(CLI_OPTIONS).forEach(name => {
+        if (CLI_OPTIONS[name].alias) {
+            aliases[CLI_OPTIONS[name].alias] = name;
+        }
+    });
+    
+    const values = {};
+    const positional = [];
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        
+        if (arg === '--') {
+            positional.push(...argv.slice(i + 1));
+            break;
+        }
+        // "-" alone and negative numbers are values, not flags
+        if (!arg.startsWith('-') || arg === '-' || /^-\d/.test(arg)) {
+            positional.push(arg);
+            continue;
+        }
+        
+        const equalsIndex = arg.indexOf('=');
+        const flag = equalsIndex === -1 ? arg : arg.slice(0, equalsIndex);
+        const inlineValue = equalsIndex === -1 ? undefined : arg.slice(equalsIndex + 1);
+        const name = flag.startsWith('--') ? flag.slice(2) : aliases[flag.slice(1)];
+        const option = CLI_OPTIONS[name];
+        
+        // --no-reverse and the like override a config file that turns the setting on
+        if (!option && flag.startsWith('--no-') && isNegatable(name.slice(3))) {
+            if (inlineValue !== undefined) {
+                throw new UsageError(`Option ${flag} does not take a value`);
+            }
+            values[name.slice(3)] = false;
+            continue;
+        }
+        if (!option) {
+            throw new UsageError(`Unknown option: ${flag}`);
+        }
+        if (!option.value) {
+            if (inlineValue !== undefined) {
+                throw new UsageError(`Option ${flag} does not take a value`);
+            }
+            values[name] = true;
+            continue;
+        }
         
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            throw new UsageError(`Option ${flag} needs a value <${option.value}>`);
+        }
+        values[name] = value;
+    }
+    
+    let command = 'rename';
+    if (positional[0] === 'undo' || positional[0] === 'restore') {
+        command = 'undo';
+    } else if (positional[0] === 'replace') {
+        command = 'replace';
+    } else if (positional[0] === 'watch') {
+        command = 'watch';
+    }
+    if (command !== 'rename') {
+        positional.shift();
+    }
+    let frame;
+    let replacementPath;
+    if (command === 'replace') {
+        [frame, replacementPath] = positional.splice(0, 2);
+        if (!values.help && replacementPath === undefined) {
+            throw new UsageError('replace needs a frame and a file, e.g. replace 14 new_scan.tif');
+        }
+        if (frame !== undefined) {
+            try {
+                frameToIndex(frame);
+            } catch (error) {
+                throw new UsageError(error.message);
+            }
+        }
+    }
+    const maxPositional = command === 'rename' ? 4 : 1;
+    if (positional.length > maxPositional) {
+        throw new UsageError(`Unexpected argument: ${positional[maxPositional]}`);
+    }
+    
+    // Flags win over the positional form: [directory] [startingIndex] [skipNumbers] [letterSuffix]
+    const pick = (name, position) => (values[name] !== undefined ? values[name] : positional[position]);
+    const startingIndex = pick('start', 1);
+    const letterSuffix = pick('suffix', 3);
+    
+    if (startingIndex !== undefined && !STARTING_INDEX_OPTIONS.includes(startingIndex)) {
+        throw new UsageError(`Invalid starting index "${startingIndex}". Use x, 0 or 00, or leave it out to start from 01`);
+    }
+    if (values.sort !== undefined && !Object.prototype.hasOwnProperty.call(SORT_ORDERS, values.sort)) {
+        throw new UsageError(`Invalid sort order "${values.sort}". Use one of: ${Object.keys(SORT_ORDERS).join(', ')}`);
+    }
+    if (values['on-collision'] !== undefined && !COLLISION_POLICIES.includes(values['on-collision'])) {
+        throw new UsageError(`Invalid collision policy "${values['on-collision']}". Use one of: ${COLLISION_POLICIES.join(', ')}`);
+    }
+    if (values['backup-archive'] !== undefined && !BACKUP_ARCHIVE_FORMATS.includes(values['backup-archive'])) {
+        throw new UsageError(`Invalid backup archive format "${values['backup-archive']}". Use one of: ${BACKUP_ARCHIVE_FORMATS.join(', ')}`);
+    }
+    if (values['backup-mode'] !== undefined && !BACKUP_MODES.includes(values['backup-mode'])) {
+        throw new UsageError(`Invalid backup mode "${values['backup-mode']}". Use one of: ${BACKUP_MODES.join(', ')}`);
+    }
+    if (values.resume && values.rollback) {
+        throw new UsageError('Use either --resume or --rollback, not both');
+    }
+    if (values.json && values.ndjson) {
+        throw new UsageError('Use either --json or --ndjson, not both');
+    }
+    if (values.quiet && values.verbose) {
+        throw new UsageError('Use either --quiet or --verbose, not both');
+    }
+    let rollLength;
+    if (values['roll-length'] !== undefined) {
+        rollLength = Number(values['roll-length']);
+        if (!/^\d+$/.test(values['roll-length']) || rollLength < 1) {
+            throw new UsageError(`Invalid roll length "${values['roll-length']}". Use a positive number of frames`);
+        }
+    }
+    let settleTime;
+    if (values.settle !== undefined) {
+        settleTime = Number(values.settle) * 1000;
+        if (!/^\d+(\.\d+)?$/.test(values.settle) || settleTime <= 0) {
+            throw new UsageError(`Invalid settle time "${values.settle}". Use a number of seconds, e.g. 60`);
+        }
+    }
+    let concurrency;
+    if (values.concurrency !== undefined) {
+        concurrency = Number(values.concurrency);
+        if (!/^\d+$/.test(values.concurrency) || concurrency < 1) {
+            throw new UsageError(`Invalid concurrency "${values.concurrency}". Use a whole number of files, 1 or more`);
+        }
+    }
+    let skipNumbers;
+    try {
+        skipNumbers = parseSkipNumbers(pick('skip', 2), { rollLength });
     } catch (error) {
-        console.error('Error:', error.message);
-        throw error; // Re-throw the error instead of calling process.exit
+        if (!error.needsRollLength) {
+            throw new UsageError(error.message);
+        }
+        // Without --roll-length, each roll works out open ranges and -N from the frames it turns out to have
+        skipNumbers = pick('skip', 2);
     }
+    if (values.template !== undefined) {
+        try {
+            parseTemplate(values.template);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+    if (values['frames-from'] !== undefined) {
+        try {
+            getFramePattern(values['frames-from']);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+    ['include', 'exclude'].forEach(name => {
+        try {
+            parseGlobs(values[name]);
+        } catch (error) {
+            throw new UsageError(`--${name}: ${error.message}`);
+        }
+    });
+    
+    return {
+        command,
+        help: Boolean(values.help),
+        version: Boolean(values.version),
+        recursive: Boolean(values.recursive),
+        output: values.json ? 'json' : (values.ndjson ? 'ndjson' : 'text'),
+        verbosity: values.quiet ? 'quiet' : (values.verbose ? 'verbose' : 'normal'),
+        directoryPath: pick('dir', 0) || process.cwd(),
+        frame,
+        replacementPath,
+        settleTime,
+        archiveDir: values['archive-to'],
+        startingIndex: startingIndex || undefined,
+        skipNumbers,
+        letterSuffix,
+        // Options that weren't given stay undefined so config files can supply them
+        options: {
+            dryRun: values['dry-run'],
+            transactional: values.transactional,
+            sort: values.sort,
+            reverse: values.reverse,
+            groupSidecars: values['group-sidecars'],
+            template: values.template,
+            film: values.film,
+            roll: values.roll,
+            mapping: values.mapping,
+            include: values.include,
+            exclude: values.exclude,
+            imagesOnly: values['images-only'],
+            onCollision: values['on-collision'],
+            resume: values.resume,
+            rollback: values.rollback,
+            append: values.append,
+            backupMode: values['backup-mode'],
+            backupArchive: values['backup-archive'],
+            framesFrom: values['frames-from'],
+            concurrency
+        }
+    };
 }
 
-// Main execution
-if (require.main === module) {
-    // Get directory path from command line argument or use current directory
-    const directoryPath = process.argv[2] || process.cwd();
-    const startingIndex = process.argv[3]; // Optional starting index argument
-    const skipNumbersArg = process.argv[4]; // Optional skip numbers argument
-    const letterSuffix = process.argv[5]; // Optional letter suffix argument
+/**
+ * Formats a number of bytes for the progress bar
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Size such as "512 B" or "1.4 GB"
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    
+    return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Formats a progress event as a one-line bar
+ * @param {Object} progress - Progress event from renameFilesByAlphabeticalOrder
+ * @param {number} columns - Width of the terminal
+ * @returns {string} Line such as "[#####-----] 12/36 files  1.2 GB / 3.6 GB  ETA 1m 05s"
+ */
+function formatProgress(progress, columns) {
+    const { files, totalFiles, bytes, totalBytes, eta } = progress;
+    const fraction = totalBytes > 0 ? bytes / totalBytes : files / totalFiles;
+    let remaining = '--';
+    if (eta !== null) {
+        remaining = eta < 60 ? `${eta}s` : `${Math.floor(eta / 60)}m ${String(eta % 60).padStart(2, '0')}s`;
+    }
+    const details = ` ${files}/${totalFiles} files  ${formatBytes(bytes)} / ${formatBytes(totalBytes)}  ETA ${remaining}`;
+    const width = Math.max(10, Math.min(40, columns - details.length - 3));
+    const filled = Math.round(fraction * width);
+    
+    return `[${'#'.repeat(filled)}${'-'.repeat(width - filled)}]${details}`;
+}
+
+/**
+ * Creates the progress bar the CLI draws on a terminal while files are backed up and renamed
+ * @param {Object} stream - Terminal stream to draw on, normally process.stderr
+ * @returns {Object} Bar with update (takes a progress event), hide and show (around other output) and clear methods;
+ *                   it clears itself once every file of the roll has finished
+ */
+function createProgressBar(stream) {
+    let line = '';
+    const draw = () => stream.write(`\r${line}\x1b[K`);
+    const hide = () => {
+        if (line) {
+            stream.write('\r\x1b[K');
+        }
+    };
+    
+    return {
+        update: progress => {
+            line = progress.files < progress.totalFiles ? formatProgress(progress, stream.columns || 80) : '';
+            draw();
+        },
+        hide,
+        show: () => {
+            if (line) {
+                draw();
+            }
+        },
+        clear: () => {
+            hide();
+            line = '';
+        }
+    };
+}
+
+/**
+ * Creates the logger the CLI hands to the commands
+ * @param {string} verbosity - "quiet" (errors only), "normal" or "verbose"
+ * @param {boolean} machineOutput - Whether stdout carries JSON, in which case the text output goes to stderr
+ * @param {Object} [progressBar] - Progress bar from createProgressBar, moved out of the way of each line
+ * @returns {Object} Logger with log and error methods, plus a verbose method for the extra detail of --verbose
+ */
+function createCliLogger(verbosity, machineOutput, progressBar = null) {
+    const aroundProgressBar = print => (...args) => {
+        if (progressBar) {
+            progressBar.hide();
+        }
+        print(...args);
+        if (progressBar) {
+            progressBar.show();
+        }
+    };
+    const write = aroundProgressBar((...args) => (machineOutput ? console.error(...args) : console.log(...args)));
+    const ignore = () => {};
+    
+    return {
+        log: verbosity === 'quiet' ? ignore : write,
+        error: aroundProgressBar((...args) => console.error(...args)),
+        verbose: verbosity === 'verbose' ? write : ignore
+    };
+}
+
+/**
+ * Creates an emitter that prints each plan, file and watched roll event as a line of JSON, for --ndjson
+ * @returns {EventEmitter} Emitter to pass to the rename functions
+ */
+function createNdjsonEmitter() {
+    const emitter = new EventEmitter();
+    // File events don't carry the roll, which matters in recursive mode; they follow the plan of their roll
+    let directory = null;
+    
+    emitter.on('plan', event => {
+        directory = event.directory;
+        console.log(JSON.stringify({ event: 'plan', ...event }));
+    });
+    emitter.on('fileRenamed', file => console.log(JSON.stringify({ event: 'fileRenamed', directory, ...file })));
+    emitter.on('fileFailed', file => console.log(JSON.stringify({ event: 'fileFailed', directory, ...file })));
+    emitter.on('roll', roll => console.log(JSON.stringify({ event: 'roll', ...roll })));
+    
+    return emitter;
+}
+
+/**
+ * Tells a refusal apart from other errors, for the exit code
+ * @param {Error} error - Error thrown by a command
+ * @returns {string} "refused" if a roll was left alone on purpose, otherwise "error"
+ */
+function getErrorStatus(error) {
+    const refusals = [RefusedError, InterruptedRunError, CollisionError];
+    return refusals.some(ErrorClass => error instanceof ErrorClass) ? 'refused' : 'error';
+}
+
+/**
+ * Runs a parsed command and builds its report
+ * @param {Object} cli - Parsed command from parseArgs
+ * @param {Object} logger - Logger from createCliLogger
+ * @param {EventEmitter} emitter - Receives the plan, file and progress events
+ * @returns {Promise<Object>} Report with the command, directory, status ("success" or "partial"), exit code and the
+ *                            command's results: the rename result, the roll results (rolls, also for watch) or the
+ *                            restored files
+ */
+async function runCommand(cli, logger, emitter) {
+    const { command, directoryPath, skipNumbers } = cli;
+    const report = (status, results) => ({ command, directory: directoryPath, status, exitCode: EXIT_CODES[status], ...results });
     
-    // Parse skip numbers
-    const skipNumbers = parseSkipNumbers(skipNumbersArg);
+    if (command === 'undo') {
+        const restored = await undoRename(directoryPath, { logger });
+        return report('success', { restored });
+    }
+    if (command === 'replace') {
+        const replaced = await replaceFrame(directoryPath, cli.frame, cli.replacementPath, { dryRun: cli.options.dryRun, logger });
+        return report('success', replaced);
+    }
+    if (command === 'watch') {
+        const watcher = watchInbox(directoryPath, cli.startingIndex, skipNumbers, cli.letterSuffix, {
+            ...cli.options, settleTime: cli.settleTime, archiveDir: cli.archiveDir, logger, emitter
+        });
+        // Runs until Ctrl+C or a service manager stops it
+        await new Promise(resolve => {
+            const stop = () => {
+                process.removeListener('SIGINT', stop);
+                process.removeListener('SIGTERM', stop);
+                resolve();
+            };
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+        });
+        logger.log('\nStopping the watch...');
+        const rolls = await watcher.close();
+        const failed = rolls.some(result => result.status === 'failed' || result.status === 'partial');
+        return report(failed ? 'partial' : 'success', { rolls });
+    }
+    
+    // A single roll takes its config here; in recursive mode each roll loads its own
+    let { startingIndex, letterSuffix, options } = cli;
+    if (!cli.recursive) {
+        const { config, files } = loadConfig(directoryPath);
+        files.forEach(configPath => logger.log(`Using config: ${configPath}`));
+        ({ startingIndex, letterSuffix, options } = applyConfig(config, startingIndex, letterSuffix, options));
+    }
     
-    console.log(`Renaming files in directory: ${directoryPath}`);
+    logger.log(cli.recursive
+        ? `Renaming every roll in directory: ${directoryPath}`
+        : `Renaming files in directory: ${directoryPath}`);
     if (startingIndex) {
-        console.log(`Using starting index option: "${startingIndex}"`);
+        logger.log(`Using starting index option: "${startingIndex}"`);
     }
-    if (skipNumbers.length > 0) {
-        console.log(`Will skip numbers: ${skipNumbers.join(', ')}`);
+    if (typeof skipNumbers === 'string') {
+        logger.log(`Will skip numbers: ${skipNumbers}, counting from the last frame found`);
+    } else if (skipNumbers.length > 0) {
+        logger.log(`Will skip numbers: ${skipNumbers.join(', ')}`);
     }
     if (letterSuffix) {
-        console.log(`Will use letter suffix: "${letterSuffix}"`);
+        logger.log(`Will use letter suffix: "${letterSuffix}"`);
     }
+    if (options.dryRun) {
+        logger.log('Dry run: no files will be changed');
+    }
+    if (options.transactional) {
+        logger.log('Transactional mode: any failure rolls back the whole roll');
+    }
+    if (options.sort) {
+        logger.log(`Sorting by: ${options.sort}`);
+    }
+    if (options.reverse) {
+        logger.log('Numbering in reverse order');
+    }
+    if (options.groupSidecars) {
+        logger.log('Grouping companion files (RAW/JPEG/XMP) into shared frames');
+    }
+    if (options.template) {
+        logger.log(`Using filename template: ${options.template}`);
+    }
+    if (options.mapping) {
+        logger.log(`Using frame mapping: ${options.mapping}`);
+    }
+    
+    const settings = Object.keys(options).filter(key => options[key] !== undefined).map(key => `${key}=${options[key]}`);
+    logger.verbose(`Settings: ${settings.length > 0 ? settings.join(', ') : 'defaults'}`);
+    
+    if (cli.recursive) {
+        const rolls = await renameRolls(directoryPath, startingIndex, skipNumbers, letterSuffix, { ...options, useConfig: true, logger, emitter });
+        const failed = rolls.some(result => result.status === 'failed' || result.status === 'partial');
+        return report(failed ? 'partial' : 'success', { rolls });
+    }
+    
+    const result = await renameFilesByAlphabeticalOrder(directoryPath, startingIndex, skipNumbers, letterSuffix, { ...options, logger, emitter });
+    return report(result.failed.length > 0 ? 'partial' : 'success', result);
+}
+
+/**
+ * Runs the command line interface
+ * With --json or --ndjson a failing command is reported on stdout and turned into its exit code; otherwise the error
+ * is thrown for the caller to print, and getErrorStatus gives its exit code
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code, one of EXIT_CODES
+ */
+async function runCli(argv) {
+    const cli = parseArgs(argv);
+    
+    if (cli.help) {
+        console.log(formatUsage());
+        return EXIT_CODES.success;
+    }
+    if (cli.version) {
+        console.log(require('./package.json').version);
+        return EXIT_CODES.success;
+    }
+    
+    const emitter = cli.output === 'ndjson' ? createNdjsonEmitter() : new EventEmitter();
+    // The bar goes to stderr, and only to a terminal, so it never ends up in redirected output
+    const progressBar = cli.verbosity !== 'quiet' && process.stderr.isTTY ? createProgressBar(process.stderr) : null;
+    if (progressBar) {
+        emitter.on('progress', progress => progressBar.update(progress));
+    }
+    const logger = createCliLogger(cli.verbosity, cli.output !== 'text', progressBar);
+    const startTime = Date.now();
+    let report;
+    try {
+        report = await runCommand(cli, logger, emitter);
+    } catch (error) {
+        if (progressBar) {
+            progressBar.clear();
+        }
+        if (cli.output === 'text') {
+            throw error;
+        }
+        const status = getErrorStatus(error);
+        report = {
+            command: cli.command,
+            directory: cli.directoryPath,
+            status,
+            exitCode: EXIT_CODES[status],
+            error: { name: error.name, message: error.message }
+        };
+    }
+    logger.verbose(`Finished in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
     
-    renameFilesByAlphabeticalOrder(directoryPath, startingIndex, skipNumbers, letterSuffix)
+    if (cli.output === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+    } else if (cli.output === 'ndjson') {
+        console.log(JSON.stringify({ event: 'done', ...report }));
+    }
+    return report.exitCode;
+}
+
+// Main execution
+if (require.main === module) {
+    runCli(process.argv.slice(2))
+        .then(exitCode => {
+            process.exitCode = exitCode;
+        })
         .catch(error => {
             console.error('Error:', error.message);
-            process.exit(1);
+            if (error instanceof UsageError) {
+                console.error('Run "rename-files --help" for usage.');
+            }
+            process.exitCode = EXIT_CODES[getErrorStatus(error)];
         });
 }
 
-module.exports = { renameFilesByAlphabeticalOrder };
+module.exports = {
+    renameFilesByAlphabeticalOrder,
+    renameRolls,
+    watchInbox,
+    undoRename,
+    replaceFrame,
+    parseArgs,
+    parseSkipNumbers,
+    runCli,
+    loadConfig,
+    EXIT_CODES,
+    UsageError,
+    RefusedError,
+    SkipNumbersError,
+    ConfigError,
+    TemplateError,
+    MappingError,
+    FrameNumberError,
+    CollisionError,
+    InterruptedRunError
+};
@@ -46,6 +46,66 @@ describe('Photo Rename Script', () => {
         return createdFiles;
     }
 
+    // Helper function to build a TIFF header holding EXIF tags (ASCII values only)
+    function buildExifTiff({ make, model, dateTimeOriginal, subSecTimeOriginal }, littleEndian = true) {
+        const ifd0Tags = [[0x010f, make], [0x0110, model]].filter(([, value]) => value !== undefined);
+        const exifTags = [[0x9003, dateTimeOriginal], [0x9291, subSecTimeOriginal]].filter(([, value]) => value !== undefined);
+        const ifdSize = count => 2 + count * 12 + 4;
+        const ifd0Offset = 8;
+        const exifIfdOffset = ifd0Offset + ifdSize(ifd0Tags.length + 1);
+        let dataOffset = exifIfdOffset + ifdSize(exifTags.length);
+        
+        const buffer = Buffer.alloc(1024);
+        const u16 = (value, offset) => (littleEndian ? buffer.writeUInt16LE(value, offset) : buffer.writeUInt16BE(value, offset));
+        const u32 = (value, offset) => (littleEndian ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt32BE(value, offset));
+        
+        buffer.write(littleEndian ? 'II' : 'MM', 0, 'ascii');
+        u16(42, 2);
+        u32(ifd0Offset, 4);
+        
+        const writeIfd = (offset, tags) => {
+            u16(tags.length, offset);
+            tags.forEach(([tag, value], i) => {
+                const entry = offset + 2 + i * 12;
+                u16(tag, entry);
+                if (typeof value === 'number') {
+                    u16(4, entry + 2); // LONG
+                    u32(1, entry + 4);
+                    u32(value, entry + 8);
+                    return;
+                }
+                const bytes = Buffer.from(`${value}\0`, 'ascii');
+                u16(2, entry + 2); // ASCII
+                u32(bytes.length, entry + 4);
+                if (bytes.length <= 4) {
+                    bytes.copy(buffer, entry + 8);
+                } else {
+                    u32(dataOffset, entry + 8);
+                    bytes.copy(buffer, dataOffset);
+                    dataOffset += bytes.length;
+                }
+            });
+            u32(0, offset + 2 + tags.length * 12);
+        };
+        writeIfd(ifd0Offset, ifd0Tags.concat([[0x8769, exifIfdOffset]]));
+        writeIfd(exifIfdOffset, exifTags);
+        
+        return buffer.subarray(0, dataOffset);
+    }
+
+    // Helper function to create a minimal JPEG with an EXIF APP1 segment
+    function createExifJpeg(filename, tags) {
+        const tiff = buildExifTiff(tags);
+        const app1Header = Buffer.alloc(10);
+        app1Header.writeUInt16BE(0xffe1, 0);
+        app1Header.writeUInt16BE(2 + 6 + tiff.length, 2);
+        app1Header.write('Exif\0\0', 4, 'binary');
+        // A JFIF APP0 segment first, as real cameras often write one before the EXIF data
+        const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x07, 0x4a, 0x46, 0x49, 0x46, 0x00]);
+        const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8]), app0, app1Header, tiff, Buffer.from([0xff, 0xd9])]);
+        fs.writeFileSync(path.join(testDir, filename), jpeg);
+    }
+
     // Helper function to get renamed files in top level directory, sorted by the index in the filename
     function getRenamedFiles() {
         const files = fs.readdirSync(testDir)
@@ -79,6 +139,11 @@ describe('Photo Rename Script', () => {
         });
     }
 
+    // Helper function to read the rename manifest of the test directory
+    function readManifest() {
+        return JSON.parse(fs.readFileSync(path.join(testDir, '.rename-manifest.json'), 'utf8'));
+    }
+
     // Helper function to verify original files are moved to 'lab scans' directory
     function verifyOriginalFilesInLabScans(originalFilenames) {
         const labScansDir = path.join(testDir, 'lab scans');
@@ -779,4 +844,2361 @@ describe('Photo Rename Script', () => {
             ]);
         });
     });
+
+    describe('Dry run mode', () => {
+        test('should return the planned renames without touching any files', async () => {
+            const testFiles = ['zebra.jpg', 'apple.png', 'banana.gif'];
+            createTestFiles(testFiles);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, 'x', [], '', { dryRun: true });
+            const dirName = path.basename(testDir);
+            
+            expect(plan).toEqual([
+                { original: 'apple.png', renamed: `${dirName}___X.png` },
+                { original: 'banana.gif', renamed: `${dirName}__00.gif` },
+                { original: 'zebra.jpg', renamed: `${dirName}_0.jpg` }
+            ]);
+            
+            // Nothing should have been created, copied or renamed
+            expect(fs.existsSync(path.join(testDir, 'lab scans'))).toBe(false);
+            expect(fs.readdirSync(testDir).sort()).toEqual(['apple.png', 'banana.gif', 'zebra.jpg']);
+        });
+
+        test('should apply skip numbers and letter suffix in the plan', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [2], 'A', { dryRun: true });
+            const dirName = path.basename(testDir);
+            
+            expect(plan.map(entry => entry.renamed)).toEqual([
+                `${dirName}_01A.jpg`,
+                `${dirName}_03A.jpg`,
+                `${dirName}_04A.jpg`
+            ]);
+            expect(consoleOutput.some(output => output.includes(`b.jpg → ${dirName}_03A.jpg`))).toBe(true);
+        });
+
+        test('should return the same names a real run produces', async () => {
+            createTestFiles(['one.jpg', 'two.jpg']);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, '0', [], '', { dryRun: true });
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, '0');
+            
+            expect(processed).toEqual(plan);
+        });
+    });
+
+    describe('Rename manifest', () => {
+        test('should record every renamed file with size and content hash', async () => {
+            createTestFiles(['beta.jpg', 'alpha.png']);
+            
+            await renameFilesByAlphabeticalOrder(testDir, '0', [3], 'B');
+            
+            const manifest = readManifest();
+            const dirName = path.basename(testDir);
+            const expectedHash = require('crypto').createHash('sha256')
+                .update('Test content for alpha.png').digest('hex');
+            
+            expect(manifest.directory).toBe(dirName);
+            expect(manifest.runs).toHaveLength(1);
+            
+            const run = manifest.runs[0];
+            expect(run.startingIndex).toBe('0');
+            expect(run.skipNumbers).toEqual([3]);
+            expect(run.letterSuffix).toBe('B');
+            expect(run.files).toEqual([
+                {
+                    original: 'alpha.png',
+                    renamed: `${dirName}_0B.png`,
+                    index: '0',
+                    frame: 0,
+                    size: 'Test content for alpha.png'.length,
+                    sha256: expectedHash
+                },
+                expect.objectContaining({ original: 'beta.jpg', renamed: `${dirName}_01B.jpg` })
+            ]);
+        });
+
+        test('should not be renamed itself on a later run', async () => {
+            createTestFiles(['a.jpg']);
+            fs.writeFileSync(path.join(testDir, '.rename-manifest.json'), JSON.stringify({ version: 1, runs: [] }));
+            
+            await renameFilesByAlphabeticalOrder(testDir);
+            
+            const dirName = path.basename(testDir);
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`]);
+            expect(readManifest().runs).toHaveLength(1);
+        });
+
+        test('should not be written during a dry run', async () => {
+            createTestFiles(['a.jpg']);
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true });
+            
+            expect(fs.existsSync(path.join(testDir, '.rename-manifest.json'))).toBe(false);
+        });
+    });
+
+    describe('Undo', () => {
+        const { undoRename } = require('./rename-files');
+
+        test('should restore the originals and remove the backup folder and manifest', async () => {
+            const testFiles = ['zebra.jpg', 'apple.png', 'banana.gif'];
+            createTestFiles(testFiles);
+            
+            await renameFilesByAlphabeticalOrder(testDir, 'x', [], 'A');
+            const restored = await undoRename(testDir);
+            
+            expect(restored).toHaveLength(3);
+            expect(fs.readdirSync(testDir).sort()).toEqual(['apple.png', 'banana.gif', 'zebra.jpg']);
+            testFiles.forEach(filename => {
+                expect(fs.readFileSync(path.join(testDir, filename), 'utf8')).toBe(`Test content for ${filename}`);
+            });
+        });
+
+        test('should keep unrelated files in lab scans', async () => {
+            createTestFiles(['a.jpg']);
+            const labScansDir = path.join(testDir, 'lab scans');
+            fs.mkdirSync(labScansDir);
+            fs.writeFileSync(path.join(labScansDir, 'existing.txt'), 'existing content');
+            
+            await renameFilesByAlphabeticalOrder(testDir);
+            await undoRename(testDir);
+            
+            expect(fs.existsSync(path.join(testDir, 'a.jpg'))).toBe(true);
+            expect(fs.readdirSync(labScansDir)).toEqual(['existing.txt']);
+        });
+
+        test('should refuse when there is no manifest', async () => {
+            createTestFiles(['a.jpg']);
+            
+            await expect(undoRename(testDir)).rejects.toThrow('No rename manifest found');
+        });
+
+        test('should refuse without changing anything when an original name is taken', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir);
+            fs.writeFileSync(path.join(testDir, 'b.jpg'), 'a new file');
+            
+            await expect(undoRename(testDir)).rejects.toThrow('b.jpg: a file with this name already exists');
+            
+            const dirName = path.basename(testDir);
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`]);
+            expect(fs.existsSync(path.join(testDir, 'lab scans', 'a.jpg'))).toBe(true);
+        });
+
+        test('should refuse when a renamed file has been edited', async () => {
+            createTestFiles(['a.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir);
+            
+            const dirName = path.basename(testDir);
+            fs.writeFileSync(path.join(testDir, `${dirName}_01.jpg`), 'retouched');
+            
+            await expect(undoRename(testDir)).rejects.toThrow('has been modified since it was renamed');
+        });
+
+        test('should restore originals whose renamed file was deleted', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir);
+            
+            const dirName = path.basename(testDir);
+            fs.unlinkSync(path.join(testDir, `${dirName}_02.jpg`));
+            await undoRename(testDir);
+            
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg']);
+        });
+    });
+
+    describe('Transactional mode', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should rename everything when nothing fails', async () => {
+            createTestFiles(['b.jpg', 'a.jpg']);
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { transactional: true });
+            
+            const dirName = path.basename(testDir);
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`]);
+            verifyOriginalFilesInLabScans(['a.jpg', 'b.jpg']);
+        });
+
+        test('should roll back every completed step when a rename fails mid-batch', async () => {
+            const testFiles = ['a.jpg', 'b.jpg', 'c.jpg'];
+            createTestFiles(testFiles);
+            
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === 'c.jpg') {
+                    throw new Error('disk full');
+                }
+                return realRename(from, to);
+            });
+            
+            let error;
+            try {
+                await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { transactional: true });
+            } catch (e) {
+                error = e;
+            }
+            
+            expect(error.message).toContain('Failed to process c.jpg (disk full)');
+            // Two copies and two renames for a.jpg and b.jpg, plus the copy of c.jpg
+            expect(error.reverted).toHaveLength(5);
+            expect(error.notReverted).toEqual([]);
+            
+            expect(fs.readdirSync(testDir).sort()).toEqual(testFiles);
+            expect(consoleOutput.some(output => output.includes('Reverted: '))).toBe(true);
+        });
+
+        test('should refuse before touching anything when a target already exists', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const dirName = path.basename(testDir);
+            fs.mkdirSync(path.join(testDir, `${dirName}_02.jpg`));
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { transactional: true }))
+                .rejects.toThrow(`b.jpg: ${dirName}_02.jpg already exists`);
+            
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg', `${dirName}_02.jpg`]);
+            expect(fs.existsSync(path.join(testDir, 'lab scans'))).toBe(false);
+        });
+
+        test('should refuse when a target is a file that has not been renamed yet', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', `${dirName}_01.jpg`]);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { transactional: true }))
+                .rejects.toThrow(`a.jpg: ${dirName}_01.jpg would be overwritten before it is renamed`);
+            
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_01.jpg`), 'utf8'))
+                .toBe(`Test content for ${dirName}_01.jpg`);
+        });
+
+        test('should refuse before touching anything when a backup already exists', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            fs.mkdirSync(path.join(testDir, 'lab scans'));
+            fs.writeFileSync(path.join(testDir, 'lab scans', 'b.jpg'), 'older backup');
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { transactional: true }))
+                .rejects.toThrow('b.jpg: a backup with this name already exists in lab scans');
+            
+            expect(fs.existsSync(path.join(testDir, 'a.jpg'))).toBe(true);
+            expect(fs.readdirSync(path.join(testDir, 'lab scans'))).toEqual(['b.jpg']);
+        });
+
+        test('should keep going past failures when not transactional', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === 'a.jpg') {
+                    throw new Error('disk full');
+                }
+                return realRename(from, to);
+            });
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir);
+            
+            expect(processed.map(entry => entry.original)).toEqual(['b.jpg']);
+        });
+    });
+
+    describe('EXIF capture time sorting', () => {
+        test('should number frames by capture time instead of filename', async () => {
+            createExifJpeg('IMG_0001.jpg', { dateTimeOriginal: '2026:10:19 12:00:05' });
+            createExifJpeg('DSC_9999.jpg', { dateTimeOriginal: '2026:10:19 12:00:01' });
+            createExifJpeg('PXL_2026.jpg', { dateTimeOriginal: '2026:10:19 11:59:59' });
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, sort: 'exif' });
+            
+            expect(plan.map(entry => entry.original)).toEqual(['PXL_2026.jpg', 'DSC_9999.jpg', 'IMG_0001.jpg']);
+            expect(consoleOutput).toContain('\nFiles sorted by EXIF capture time:');
+        });
+
+        test('should use sub-second time to order burst shots', async () => {
+            createExifJpeg('a.jpg', { dateTimeOriginal: '2026:10:19 12:00:00', subSecTimeOriginal: '75' });
+            createExifJpeg('b.jpg', { dateTimeOriginal: '2026:10:19 12:00:00', subSecTimeOriginal: '5' });
+            createExifJpeg('c.jpg', { dateTimeOriginal: '2026:10:19 12:00:00', subSecTimeOriginal: '123' });
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, sort: 'exif' });
+            
+            // .123s, .5s, .75s
+            expect(plan.map(entry => entry.original)).toEqual(['c.jpg', 'b.jpg', 'a.jpg']);
+        });
+
+        test('should read EXIF from TIFF files in either byte order', async () => {
+            fs.writeFileSync(path.join(testDir, 'scan-a.tif'), buildExifTiff({ dateTimeOriginal: '2026:01:02 10:00:00' }, false));
+            fs.writeFileSync(path.join(testDir, 'scan-b.tif'), buildExifTiff({ dateTimeOriginal: '2026:01:01 10:00:00' }, true));
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, sort: 'exif' });
+            
+            expect(plan.map(entry => entry.original)).toEqual(['scan-b.tif', 'scan-a.tif']);
+        });
+
+        test('should put frames without metadata last, sorted by filename', async () => {
+            createTestFiles(['notes.txt', 'b-no-exif.jpg']);
+            createExifJpeg('z.jpg', { make: 'FUJIFILM', model: 'X100V' }); // EXIF but no capture time
+            createExifJpeg('y.jpg', { dateTimeOriginal: '2026:10:19 12:00:00' });
+            fs.writeFileSync(path.join(testDir, 'truncated.jpg'), Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0x40]));
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, sort: 'exif' });
+            
+            expect(plan.map(entry => entry.original)).toEqual(['y.jpg', 'b-no-exif.jpg', 'notes.txt', 'truncated.jpg', 'z.jpg']);
+        });
+
+        test('should record the sort order in the manifest', async () => {
+            createExifJpeg('a.jpg', { dateTimeOriginal: '2026:10:19 12:00:00' });
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { sort: 'exif' });
+            
+            const manifest = readManifest();
+            expect(manifest.runs[0].sort).toBe('exif');
+        });
+
+        test('should reject an unknown sort order before touching anything', async () => {
+            createTestFiles(['a.jpg']);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { sort: 'colour' }))
+                .rejects.toThrow('Unknown sort order "colour"');
+            expect(fs.existsSync(path.join(testDir, 'lab scans'))).toBe(false);
+        });
+    });
+
+    describe('Alternative sort orders', () => {
+        async function plannedOrder(options) {
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, ...options });
+            return plan.map(entry => entry.original);
+        }
+
+        test('should sort numbers in filenames numerically with "natural"', async () => {
+            createTestFiles(['img10.jpg', 'img2.jpg', 'img1.jpg', 'IMG3.jpg']);
+            
+            expect(await plannedOrder({ sort: 'natural' })).toEqual(['img1.jpg', 'img2.jpg', 'IMG3.jpg', 'img10.jpg']);
+        });
+
+        test('should sort by modification time', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            fs.utimesSync(path.join(testDir, 'a.jpg'), new Date(3000), new Date(3000));
+            fs.utimesSync(path.join(testDir, 'b.jpg'), new Date(1000), new Date(1000));
+            fs.utimesSync(path.join(testDir, 'c.jpg'), new Date(2000), new Date(2000));
+            
+            expect(await plannedOrder({ sort: 'mtime' })).toEqual(['b.jpg', 'c.jpg', 'a.jpg']);
+        });
+
+        test('should sort by file size, using filename for equal sizes', async () => {
+            fs.writeFileSync(path.join(testDir, 'big.jpg'), 'x'.repeat(30));
+            fs.writeFileSync(path.join(testDir, 'small.jpg'), 'x');
+            fs.writeFileSync(path.join(testDir, 'b-medium.jpg'), 'x'.repeat(10));
+            fs.writeFileSync(path.join(testDir, 'a-medium.jpg'), 'x'.repeat(10));
+            
+            expect(await plannedOrder({ sort: 'size' })).toEqual(['small.jpg', 'a-medium.jpg', 'b-medium.jpg', 'big.jpg']);
+        });
+
+        test('should accept birthtime as a sort order', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            
+            expect(await plannedOrder({ sort: 'birthtime' })).toHaveLength(2);
+            expect(consoleOutput).toContain('\nFiles sorted by creation time:');
+        });
+
+        test('should reverse the default order', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, reverse: true });
+            const dirName = path.basename(testDir);
+            
+            expect(plan).toEqual([
+                { original: 'c.jpg', renamed: `${dirName}_01.jpg` },
+                { original: 'b.jpg', renamed: `${dirName}_02.jpg` },
+                { original: 'a.jpg', renamed: `${dirName}_03.jpg` }
+            ]);
+            expect(consoleOutput).toContain('\nFiles sorted alphabetically, reversed:');
+        });
+
+        test('should reverse any other order', async () => {
+            createTestFiles(['img10.jpg', 'img2.jpg', 'img1.jpg']);
+            
+            expect(await plannedOrder({ sort: 'natural', reverse: true })).toEqual(['img10.jpg', 'img2.jpg', 'img1.jpg']);
+        });
+    });
+
+    describe('Sidecar grouping', () => {
+        test('should give RAW, JPEG and XMP files with the same basename one frame number', async () => {
+            createTestFiles(['DSC0001.ARW', 'DSC0001.JPG', 'DSC0001.xmp', 'DSC0002.ARW', 'DSC0002.xmp', 'DSC0003.JPG']);
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { groupSidecars: true });
+            
+            const dirName = path.basename(testDir);
+            expect(fs.readdirSync(testDir).filter(file => file.startsWith(dirName)).sort()).toEqual([
+                `${dirName}_01.ARW`,
+                `${dirName}_01.JPG`,
+                `${dirName}_01.xmp`,
+                `${dirName}_02.ARW`,
+                `${dirName}_02.xmp`,
+                `${dirName}_03.JPG`
+            ]);
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_01.xmp`), 'utf8')).toBe('Test content for DSC0001.xmp');
+        });
+
+        test('should keep the image extension in "file.ext.xmp" style sidecars', async () => {
+            createTestFiles(['DSC0001.ARW', 'DSC0001.ARW.xmp', 'DSC0002.ARW']);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, groupSidecars: true });
+            const dirName = path.basename(testDir);
+            
+            expect(plan).toEqual([
+                { original: 'DSC0001.ARW', renamed: `${dirName}_01.ARW` },
+                { original: 'DSC0001.ARW.xmp', renamed: `${dirName}_01.ARW.xmp` },
+                { original: 'DSC0002.ARW', renamed: `${dirName}_02.ARW` }
+            ]);
+        });
+
+        test('should apply starting index, skips and suffix per frame', async () => {
+            createTestFiles(['a.jpg', 'a.xmp', 'b.jpg', 'c.jpg', 'c.raf']);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, '0', [1], 'B', { dryRun: true, groupSidecars: true });
+            const dirName = path.basename(testDir);
+            
+            expect(plan.map(entry => entry.renamed)).toEqual([
+                `${dirName}_0B.jpg`,
+                `${dirName}_0B.xmp`,
+                `${dirName}_02B.jpg`,
+                `${dirName}_03B.jpg`,
+                `${dirName}_03B.raf`
+            ]);
+        });
+
+        test('should number every file separately when grouping is off', async () => {
+            createTestFiles(['DSC0001.ARW', 'DSC0001.JPG']);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true });
+            const dirName = path.basename(testDir);
+            
+            expect(plan.map(entry => entry.renamed)).toEqual([`${dirName}_01.ARW`, `${dirName}_02.JPG`]);
+        });
+    });
+
+    describe('Multi-roll processing', () => {
+        const { renameRolls } = require('./rename-files');
+
+        function createRoll(rollName, filenames) {
+            const rollDir = path.join(testDir, rollName);
+            fs.mkdirSync(rollDir);
+            filenames.forEach(filename => {
+                fs.writeFileSync(path.join(rollDir, filename), `Test content for ${filename}`);
+            });
+            return rollDir;
+        }
+
+        test('should rename every roll subfolder with its own lab scans', async () => {
+            const rollA = createRoll('roll-a', ['b.jpg', 'a.jpg']);
+            const rollB = createRoll('roll-b', ['x.jpg']);
+            
+            const results = await renameRolls(testDir, '0');
+            
+            expect(results).toEqual([
+                { roll: 'roll-a', status: 'renamed', files: 2, error: null },
+                { roll: 'roll-b', status: 'renamed', files: 1, error: null }
+            ]);
+            expect(fs.readdirSync(rollA).sort()).toEqual(['.rename-manifest.json', 'lab scans', 'roll-a_0.jpg', 'roll-a_01.jpg']);
+            expect(fs.readdirSync(path.join(rollB, 'lab scans'))).toEqual(['x.jpg']);
+        });
+
+        test('should skip rolls that have already been renamed', async () => {
+            const rollA = createRoll('roll-a', ['a.jpg']);
+            createRoll('roll-b', ['b.jpg']);
+            await renameFilesByAlphabeticalOrder(rollA);
+            
+            const results = await renameRolls(testDir);
+            
+            expect(results.map(result => result.status)).toEqual(['skipped', 'renamed']);
+            expect(fs.readdirSync(path.join(rollA, 'lab scans'))).toEqual(['a.jpg']);
+        });
+
+        test('should keep going when one roll fails and report it', async () => {
+            createRoll('roll-a', ['a.jpg']);
+            createRoll('roll-b', ['b.jpg']);
+            fs.mkdirSync(path.join(testDir, 'roll-c'));
+            
+            const results = await renameRolls(testDir, undefined, [], '', { sort: 'colour' });
+            
+            expect(results[0]).toEqual({ roll: 'roll-a', status: 'failed', files: 0, error: expect.stringContaining('Unknown sort order') });
+            expect(results.map(result => result.status)).toEqual(['failed', 'failed', 'failed']);
+        });
+
+        test('should report empty rolls and print a summary table', async () => {
+            createRoll('roll-2', ['a.jpg']);
+            createRoll('roll-10', []);
+            fs.writeFileSync(path.join(testDir, 'loose.jpg'), 'not in a roll');
+            
+            const results = await renameRolls(testDir);
+            
+            expect(results.map(result => [result.roll, result.status])).toEqual([['roll-2', 'renamed'], ['roll-10', 'empty']]);
+            expect(fs.existsSync(path.join(testDir, 'loose.jpg'))).toBe(true);
+            
+            const summaryStart = consoleOutput.indexOf('\nSummary:');
+            expect(consoleOutput.slice(summaryStart + 1)).toEqual([
+                'Roll     Status    Files',
+                '-------  --------  -----',
+                'roll-2   renamed   1',
+                'roll-10  empty     0'
+            ]);
+        });
+
+        test('should pass dry run through to every roll', async () => {
+            const rollA = createRoll('roll-a', ['a.jpg']);
+            
+            const results = await renameRolls(testDir, undefined, [], '', { dryRun: true });
+            
+            expect(results).toEqual([{ roll: 'roll-a', status: 'planned', files: 1, error: null }]);
+            expect(fs.readdirSync(rollA)).toEqual(['a.jpg']);
+        });
+    });
+
+    describe('Command line parsing', () => {
+        const { parseArgs, runCli, UsageError } = require('./rename-files');
+
+        test('should parse named flags', () => {
+            const cli = parseArgs(['--dir', testDir, '--start', 'x', '--skip', '10,12', '--suffix=A', '--sort', 'natural', '-n', '--reverse']);
+            
+            expect(cli).toEqual(expect.objectContaining({
+                command: 'rename',
+                directoryPath: testDir,
+                startingIndex: 'x',
+                skipNumbers: [10, 12],
+                letterSuffix: 'A'
+            }));
+            expect(cli.options).toEqual({
+                dryRun: true,
+                transactional: undefined,
+                sort: 'natural',
+                reverse: true,
+                groupSidecars: undefined
+            });
+        });
+
+        test('should set a letter suffix without an empty skip placeholder', () => {
+            const cli = parseArgs([testDir, '--suffix', 'B']);
+            
+            expect(cli.startingIndex).toBeUndefined();
+            expect(cli.skipNumbers).toEqual([]);
+            expect(cli.letterSuffix).toBe('B');
+        });
+
+        test('should still accept the positional form', () => {
+            const cli = parseArgs([testDir, '0', '2,4', 'A', '--dry-run']);
+            
+            expect(cli.directoryPath).toBe(testDir);
+            expect(cli.startingIndex).toBe('0');
+            expect(cli.skipNumbers).toEqual([2, 4]);
+            expect(cli.letterSuffix).toBe('A');
+            expect(cli.options.dryRun).toBe(true);
+        });
+
+        test('should treat an empty positional placeholder as the default', () => {
+            const cli = parseArgs([testDir, '', '', 'A']);
+            
+            expect(cli.startingIndex).toBeUndefined();
+            expect(cli.skipNumbers).toEqual([]);
+        });
+
+        test('should let flags override positional arguments', () => {
+            expect(parseArgs(['some-dir', '0', '--start', '00']).startingIndex).toBe('00');
+        });
+
+        test('should accept a dash as a value and as a positional suffix', () => {
+            expect(parseArgs([testDir, '--suffix', '-']).letterSuffix).toBe('-');
+            expect(parseArgs([testDir, '0', '', '-']).letterSuffix).toBe('-');
+        });
+
+        test('should default the directory to the current directory', () => {
+            expect(parseArgs([]).directoryPath).toBe(process.cwd());
+        });
+
+        test('should parse the undo command', () => {
+            expect(parseArgs(['restore', testDir])).toEqual(expect.objectContaining({ command: 'undo', directoryPath: testDir }));
+            expect(parseArgs(['undo', '--dir', testDir]).directoryPath).toBe(testDir);
+        });
+
+        test.each([
+            [['--bogus'], 'Unknown option: --bogus'],
+            [['-q'], 'Unknown option: -q'],
+            [['--start'], 'Option --start needs a value <x|0|00>'],
+            [['--dry-run=yes'], 'Option --dry-run does not take a value'],
+            [['--start', '5'], 'Invalid starting index "5"'],
+            [['--sort', 'colour'], 'Invalid sort order "colour"'],
+            [['a', 'x', '1', 'A', 'extra'], 'Unexpected argument: extra'],
+            [['undo', 'a', 'b'], 'Unexpected argument: b']
+        ])('should reject %j', (argv, message) => {
+            expect(() => parseArgs(argv)).toThrow(UsageError);
+            expect(() => parseArgs(argv)).toThrow(message);
+        });
+
+        test('should print usage and version', async () => {
+            expect(await runCli(['--help'])).toBe(0);
+            expect(consoleOutput[0]).toContain('Usage: rename-files');
+            expect(consoleOutput[0]).toContain('--group-sidecars');
+            
+            expect(await runCli(['-v'])).toBe(0);
+            expect(consoleOutput[1]).toBe(require('./package.json').version);
+        });
+
+        test('should run a rename from parsed flags', async () => {
+            createTestFiles(['b.jpg', 'a.jpg']);
+            
+            expect(await runCli(['-d', testDir, '-s', '0', '--suffix', 'A'])).toBe(0);
+            
+            const dirName = path.basename(testDir);
+            expect(getRenamedFiles()).toEqual([`${dirName}_0A.jpg`, `${dirName}_01A.jpg`]);
+        });
+    });
+
+    describe('Config files', () => {
+        const { loadConfig, runCli, renameRolls, parseArgs, ConfigError } = require('./rename-files');
+        let homeDir;
+        let projectDir;
+        let rollDir;
+
+        beforeEach(() => {
+            homeDir = path.join(testDir, 'home');
+            projectDir = path.join(testDir, 'project');
+            rollDir = path.join(projectDir, 'roll-1');
+            [homeDir, projectDir, rollDir].forEach(dir => fs.mkdirSync(dir));
+            jest.spyOn(os, 'homedir').mockReturnValue(homeDir);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        function writeConfig(dir, config) {
+            fs.writeFileSync(path.join(dir, '.photorenamerc'), typeof config === 'string' ? config : JSON.stringify(config));
+        }
+
+        test('should merge home, parent and roll configs with the roll winning', () => {
+            writeConfig(homeDir, { startingIndex: 'x', letterSuffix: 'H', backupDir: 'originals' });
+            writeConfig(projectDir, { letterSuffix: 'P', sort: 'natural' });
+            writeConfig(rollDir, { letterSuffix: 'R' });
+            
+            const { config, files } = loadConfig(rollDir);
+            
+            expect(config).toEqual({ startingIndex: 'x', letterSuffix: 'R', backupDir: 'originals', sort: 'natural' });
+            expect(files).toEqual([
+                path.join(homeDir, '.photorenamerc'),
+                path.join(projectDir, '.photorenamerc'),
+                path.join(rollDir, '.photorenamerc')
+            ]);
+        });
+
+        test('should return an empty config when there are no files', () => {
+            expect(loadConfig(rollDir)).toEqual({ config: {}, files: [] });
+        });
+
+        test.each([
+            ['{ not json', 'project'],
+            [{ colour: 'red' }, 'unknown setting "colour"'],
+            [{ reverse: 'yes' }, '"reverse" must be a boolean'],
+            [{ startingIndex: '7' }, 'invalid startingIndex "7"'],
+            [{ sort: 'colour' }, 'invalid sort "colour"'],
+            [{ backupDir: '../elsewhere' }, 'backupDir must be a plain folder name'],
+            [{ include: '*.{jpg' }, 'include: Invalid glob "*.{jpg": { without a closing }'],
+            [[1, 2], 'expected a JSON object']
+        ])('should reject the config %j', (config, message) => {
+            writeConfig(projectDir, config);
+            
+            expect(() => loadConfig(rollDir)).toThrow(ConfigError);
+            expect(() => loadConfig(rollDir)).toThrow(message);
+        });
+
+        test('should use config defaults on the command line, with flags overriding them', async () => {
+            writeConfig(projectDir, { startingIndex: '0', letterSuffix: 'A', backupDir: 'originals' });
+            ['b.jpg', 'a.jpg', 'c.jpg'].forEach(name => fs.writeFileSync(path.join(rollDir, name), name));
+            
+            expect(await runCli([rollDir, '--suffix', 'B'])).toBe(0);
+            
+            expect(fs.readdirSync(rollDir).filter(name => name.startsWith('roll-1')).sort())
+                .toEqual(['roll-1_01B.jpg', 'roll-1_02B.jpg', 'roll-1_0B.jpg']);
+            expect(fs.readdirSync(path.join(rollDir, 'originals')).sort()).toEqual(['a.jpg', 'b.jpg', 'c.jpg']);
+            expect(consoleOutput).toContain(`Using config: ${path.join(projectDir, '.photorenamerc')}`);
+        });
+
+        test('should let --no-<flag> turn off a boolean config setting', async () => {
+            writeConfig(projectDir, { reverse: true, groupSidecars: true });
+            ['a.jpg', 'b.jpg'].forEach(name => fs.writeFileSync(path.join(rollDir, name), name));
+            
+            expect(await runCli([rollDir, '--no-reverse'])).toBe(0);
+            
+            expect(fs.readFileSync(path.join(rollDir, 'roll-1_01.jpg'), 'utf8')).toBe('a.jpg');
+            expect(fs.readFileSync(path.join(rollDir, 'roll-1_02.jpg'), 'utf8')).toBe('b.jpg');
+            expect(parseArgs(['--no-group-sidecars', '--no-transactional', '--no-images-only']).options)
+                .toMatchObject({ groupSidecars: false, transactional: false, imagesOnly: false, reverse: undefined });
+            expect(() => parseArgs(['--no-dry-run'])).toThrow('Unknown option: --no-dry-run');
+            expect(() => parseArgs(['--no-sort'])).toThrow('Unknown option: --no-sort');
+            expect(() => parseArgs(['--no-reverse=yes'])).toThrow('Option --no-reverse does not take a value');
+        });
+
+        test('should apply each roll\'s own config in recursive mode', async () => {
+            const otherRoll = path.join(projectDir, 'roll-2');
+            fs.mkdirSync(otherRoll);
+            writeConfig(otherRoll, { letterSuffix: 'Z' });
+            fs.writeFileSync(path.join(rollDir, 'a.jpg'), 'a');
+            fs.writeFileSync(path.join(otherRoll, 'a.jpg'), 'a');
+            
+            await renameRolls(projectDir, undefined, [], undefined, { useConfig: true });
+            
+            expect(fs.existsSync(path.join(rollDir, 'roll-1_01.jpg'))).toBe(true);
+            expect(fs.existsSync(path.join(otherRoll, 'roll-2_01Z.jpg'))).toBe(true);
+        });
+
+        test('should undo a run that used a custom backup folder', async () => {
+            const { undoRename } = require('./rename-files');
+            fs.writeFileSync(path.join(rollDir, 'a.jpg'), 'a');
+            
+            await renameFilesByAlphabeticalOrder(rollDir, undefined, [], '', { backupDir: 'originals' });
+            await undoRename(rollDir);
+            
+            expect(fs.readdirSync(rollDir)).toEqual(['a.jpg']);
+        });
+    });
+
+    describe('Filename templates', () => {
+        const { TemplateError } = require('./rename-files');
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        async function plannedNames(startingIndex, options) {
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, startingIndex, [], '', { dryRun: true, ...options });
+            return plan.map(entry => entry.renamed);
+        }
+
+        test('should produce the classic names with the default template', async () => {
+            createTestFiles(['a.jpg', 'b.png']);
+            const dirName = path.basename(testDir);
+            
+            expect(await plannedNames('0', { template: '{dir}_{index}{suffix}{ext}' }))
+                .toEqual(await plannedNames('0', {}));
+            expect(await plannedNames('0', {})).toEqual([`${dirName}_0.jpg`, `${dirName}_01.png`]);
+        });
+
+        test('should build names from capture date, film and index', async () => {
+            createExifJpeg('a.jpg', { dateTimeOriginal: '2026:10:19 08:15:00' });
+            createExifJpeg('b.jpg', { dateTimeOriginal: '2026:10:20 23:59:59' });
+            
+            expect(await plannedNames(undefined, { template: '{date:YYYY-MM-DD}_{film}_{index}{ext}', film: 'Portra400' }))
+                .toEqual(['2026-10-19_Portra400_01.jpg', '2026-10-20_Portra400_02.jpg']);
+            expect(await plannedNames(undefined, { template: '{date:YYYYMMDD-HHmmss}_{index}{ext}' }))
+                .toEqual(['20261019-081500_01.jpg', '20261020-235959_02.jpg']);
+        });
+
+        test('should fall back to the modification time for {date} without EXIF', async () => {
+            createTestFiles(['scan.tif']);
+            const mtime = new Date(2025, 0, 31, 12, 0, 0);
+            fs.utimesSync(path.join(testDir, 'scan.tif'), mtime, mtime);
+            
+            expect(await plannedNames(undefined, { template: '{date}_{index}{ext}' })).toEqual(['2025-01-31_01.tif']);
+        });
+
+        test('should fill in camera, roll, original name and counter', async () => {
+            createExifJpeg('DSC_0042.jpg', { make: 'FUJIFILM', model: 'X100V' });
+            createExifJpeg('IMG_7.jpg', { make: 'Canon', model: 'Canon EOS R5' });
+            createTestFiles(['notes.txt']);
+            
+            expect(await plannedNames('x', { template: '{roll}-{counter:3}-{camera}-{origname}{ext}', roll: 'R12' })).toEqual([
+                'R12-001-X100V-DSC_0042.jpg',
+                'R12-002-Canon-EOS-R5-IMG_7.jpg',
+                'R12-003-unknown-camera-notes.txt'
+            ]);
+        });
+
+        test('should default {roll} to the directory name', async () => {
+            createTestFiles(['a.jpg']);
+            
+            expect(await plannedNames(undefined, { template: '{roll}{index}{ext}' })).toEqual([`${path.basename(testDir)}01.jpg`]);
+        });
+
+        test('should use the image metadata for grouped sidecars', async () => {
+            createExifJpeg('DSC1.jpg', { dateTimeOriginal: '2026:05:01 10:00:00' });
+            createTestFiles(['DSC1.xmp']);
+            
+            expect(await plannedNames(undefined, { template: '{date:YYYYMMDD}_{index}{ext}', groupSidecars: true }))
+                .toEqual(['20260501_01.jpg', '20260501_01.xmp']);
+        });
+
+        test('should rename files on disk using the template', async () => {
+            createTestFiles(['b.jpg', 'a.jpg']);
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], 'A', { template: 'frame-{index}{suffix}{ext}' });
+            
+            expect(fs.readdirSync(testDir).filter(name => name.startsWith('frame-')).sort()).toEqual(['frame-01A.jpg', 'frame-02A.jpg']);
+            // The manifest keeps a template run from being renamed twice
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template: 'frame-{index}{suffix}{ext}' }))
+                .rejects.toThrow("It seems you've already renamed these photos");
+        });
+
+        test('should not count a run where every file failed as already renamed', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const rename = jest.spyOn(fs.promises, 'rename').mockRejectedValue(new Error('EACCES: permission denied'));
+            const { failed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template: 'frame-{index}{ext}' });
+            expect(failed).toHaveLength(2);
+            rename.mockRestore();
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template: 'frame-{index}{ext}' });
+            
+            expect(processed.map(({ renamed }) => renamed)).toEqual(['frame-01.jpg', 'frame-02.jpg']);
+        });
+
+        test.each([
+            ['{dir}_{nope}{ext}', 'Unknown token {nope}'],
+            ['{dir}_{index{ext}', 'Unmatched brace'],
+            ['{dir}_{index}}{ext}', 'Unmatched brace'],
+            ['{dir}_{counter:x}{ext}', 'Invalid argument "x" for {counter}'],
+            ['{dir}_{index:3}{ext}', 'Invalid argument "3" for {index}'],
+            ['{date:YYYY/MM}_{index}{ext}', 'Invalid argument "YYYY/MM" for {date}'],
+            ['sub/{index}{ext}', 'must not contain path separators'],
+            ['{dir}_{date}{ext}', 'would give every frame the same name'],
+            ['', 'non-empty string']
+        ])('should reject the template %j before touching any file', async (template, message) => {
+            createTestFiles(['a.jpg']);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template }))
+                .rejects.toThrow(TemplateError);
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template }))
+                .rejects.toThrow(message);
+            expect(fs.readdirSync(testDir)).toEqual(['a.jpg']);
+        });
+
+        test('should reject templates that produce duplicate names', async () => {
+            createTestFiles(['a.jpg', 'a.png', 'b.jpg']);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template: '{origname}.jpg' }))
+                .rejects.toThrow('Template gives a.jpg and a.png the same name "a.jpg"');
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template: '{index}', groupSidecars: true }))
+                .rejects.toThrow('the same name "01"');
+            expect(fs.existsSync(path.join(testDir, 'lab scans'))).toBe(false);
+        });
+
+        test('should require a film name when {film} is used', async () => {
+            createTestFiles(['a.jpg']);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template: '{film}_{index}{ext}' }))
+                .rejects.toThrow('no film name was given');
+        });
+    });
+
+    describe('Skip number parsing', () => {
+        const { parseSkipNumbers, parseArgs, SkipNumbersError, UsageError } = require('./rename-files');
+
+        test('should keep accepting plain and bracketed lists', () => {
+            expect(parseSkipNumbers('22,10,11')).toEqual([10, 11, 22]);
+            expect(parseSkipNumbers('[10, 11, 22]')).toEqual([10, 11, 22]);
+            expect(parseSkipNumbers('')).toEqual([]);
+            expect(parseSkipNumbers(undefined)).toEqual([]);
+        });
+
+        test('should expand ranges and remove duplicates', () => {
+            expect(parseSkipNumbers('10-12,22,11')).toEqual([10, 11, 12, 22]);
+        });
+
+        test('should expand open ranges to the end of the roll', () => {
+            expect(parseSkipNumbers('3,34-', { rollLength: 36 })).toEqual([3, 34, 35, 36]);
+        });
+
+        test('should skip the last N frames of the roll', () => {
+            expect(parseSkipNumbers('-2', { rollLength: 36 })).toEqual([35, 36]);
+            expect(parseSkipNumbers('1,-3', { rollLength: 24 })).toEqual([1, 22, 23, 24]);
+        });
+
+        test('should read the list from a file', () => {
+            const listPath = path.join(testDir, 'skips.txt');
+            fs.writeFileSync(listPath, '# blank frames\n10-12\n22 # light leak\n30,31\n');
+            
+            expect(parseSkipNumbers(`@${listPath}`)).toEqual([10, 11, 12, 22, 30, 31]);
+        });
+
+        test.each([
+            ['10,abc', 'invalid entry "abc"'],
+            ['1.5', 'invalid entry "1.5"'],
+            ['15-10', 'range 15-10 runs backwards'],
+            ['1-99999999', 'is too large'],
+            ['30-', 'the roll length is needed'],
+            ['-2', 'the roll length is needed'],
+            ['@/does/not/exist.txt', 'Could not read skip list']
+        ])('should throw a SkipNumbersError for %j instead of exiting', (list, message) => {
+            expect(() => parseSkipNumbers(list)).toThrow(SkipNumbersError);
+            expect(() => parseSkipNumbers(list)).toThrow(message);
+        });
+
+        test('should apply ranges from the command line', () => {
+            expect(parseArgs(['--skip', '10-12,22']).skipNumbers).toEqual([10, 11, 12, 22]);
+            expect(parseArgs(['--skip', '-2', '--roll-length', '36']).skipNumbers).toEqual([35, 36]);
+            expect(parseArgs(['roll', '', '-1', '--roll-length=24']).skipNumbers).toEqual([24]);
+        });
+
+        test('should report bad skip lists as usage errors on the command line', () => {
+            expect(() => parseArgs(['--skip', 'x'])).toThrow(UsageError);
+            expect(() => parseArgs(['--skip', '30-,x'])).toThrow('invalid entry "x"');
+            expect(() => parseArgs(['--roll-length', '0'])).toThrow('Invalid roll length "0"');
+        });
+
+        test('should count open ranges from the last frame found without --roll-length', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            const { skipNumbers } = parseArgs(['--skip', '2-']);
+            expect(skipNumbers).toBe('2-');
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, skipNumbers, '', { dryRun: true });
+            
+            expect(plan.map(entry => entry.renamed)).toEqual([`${dirName}_01.jpg`, `${dirName}_04.jpg`, `${dirName}_05.jpg`]);
+            expect((await renameFilesByAlphabeticalOrder(testDir, undefined, '-1', '', { dryRun: true })).plan.map(entry => entry.renamed))
+                .toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`, `${dirName}_04.jpg`]);
+            expect(parseArgs(['--skip', '2-', '--roll-length', '36']).skipNumbers).toHaveLength(35);
+        });
+
+        test('should number around a skipped range', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, parseSkipNumbers('2-3'));
+            
+            const dirName = path.basename(testDir);
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`, `${dirName}_04.jpg`, `${dirName}_05.jpg`]);
+        });
+    });
+
+    describe('Mapping files', () => {
+        const { MappingError, parseArgs } = require('./rename-files');
+        let mappingPath;
+
+        afterEach(() => {
+            if (mappingPath && fs.existsSync(mappingPath)) {
+                fs.unlinkSync(mappingPath);
+            }
+            mappingPath = undefined;
+        });
+
+        test('should give mapped files their frame and number the rest around it', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg']);
+            const dirName = path.basename(testDir);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                dryRun: true, mapping: { 'd.jpg': 2 }
+            });
+            
+            expect(plan.map(entry => entry.renamed)).toEqual([
+                `${dirName}_01.jpg`, `${dirName}_03.jpg`, `${dirName}_04.jpg`, `${dirName}_02.jpg`
+            ]);
+        });
+
+        test('should write a file mapped to frame 0 as the 0 index, not the _00 lead-in', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const dirName = path.basename(testDir);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                dryRun: true, mapping: { 'b.jpg': 0 }
+            });
+            
+            expect(plan.map(entry => entry.renamed)).toEqual([`${dirName}_01.jpg`, `${dirName}_0.jpg`]);
+        });
+
+        test('should read CSV mappings with full names and a header', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            const dirName = path.basename(testDir);
+            mappingPath = `${testDir}-mapping.csv`;
+            fs.writeFileSync(mappingPath, 'original,target\n# rescans\nb.jpg,"cover, front.jpg"\nc.jpg,1\n');
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { mapping: mappingPath });
+            
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`]);
+            expect(fs.existsSync(path.join(testDir, 'cover, front.jpg'))).toBe(true);
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_01.jpg`), 'utf8')).toContain('c.jpg');
+            verifyOriginalFilesInLabScans(['a.jpg', 'b.jpg', 'c.jpg']);
+            
+            const manifest = readManifest();
+            expect(manifest.runs[0].mapping).toEqual({ 'b.jpg': 'cover, front.jpg', 'c.jpg': 1 });
+        });
+
+        test('should read JSON mappings', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const dirName = path.basename(testDir);
+            mappingPath = `${testDir}-mapping.json`;
+            fs.writeFileSync(mappingPath, JSON.stringify({ 'a.jpg': '12' }));
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, mapping: mappingPath });
+            
+            expect(plan.map(entry => entry.renamed)).toEqual([`${dirName}_12.jpg`, `${dirName}_01.jpg`]);
+        });
+
+        test('should apply a frame number to the whole sidecar group', async () => {
+            createTestFiles(['a.jpg', 'b.arw', 'b.jpg']);
+            const dirName = path.basename(testDir);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                dryRun: true, groupSidecars: true, mapping: { 'b.arw': 5 }
+            });
+            
+            expect(plan.map(entry => entry.renamed)).toEqual([`${dirName}_01.jpg`, `${dirName}_05.arw`, `${dirName}_05.jpg`]);
+        });
+
+        test('should report missing files and duplicate targets together before touching anything', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            
+            const run = renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                mapping: { 'a.jpg': 3, 'b.jpg': 3, 'c.jpg': 'x.jpg', 'gone.jpg': 'x.jpg' }
+            });
+            
+            await expect(run).rejects.toThrow(MappingError);
+            await run.catch(error => {
+                expect(error.message).toContain('frame 3 is the target of both a.jpg and b.jpg');
+                expect(error.message).toContain('gone.jpg is in the mapping but wasn\'t found in the roll');
+                expect(error.message).toContain('"x.jpg" is the target of both c.jpg and gone.jpg');
+            });
+            expect(getRenamedFiles()).toEqual([]);
+            expect(fs.existsSync(path.join(testDir, 'lab scans'))).toBe(false);
+        });
+
+        test.each([
+            [{ 'a.jpg': 'sub/a.jpg' }, 'is not a usable filename'],
+            [{ 'a.jpg': -1 }, 'must be a whole number'],
+            [{ 'a.jpg': '' }, 'Invalid mapping entry'],
+            ['/does/not/exist.csv', 'Could not read mapping file']
+        ])('should reject the mapping %j', async (mapping, message) => {
+            createTestFiles(['a.jpg']);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { mapping })).rejects.toThrow(message);
+        });
+
+        test('should take the mapping file from the command line', () => {
+            expect(parseArgs(['--mapping', 'fixes.csv']).options.mapping).toBe('fixes.csv');
+        });
+    });
+
+    describe('Scan filters', () => {
+        const jpegBytes = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]);
+        const tiffBytes = Buffer.from('II*\0\x08\0\0\0', 'latin1');
+        const pngBytes = Buffer.from('\x89PNG\r\n\x1a\n', 'latin1');
+        const heicBytes = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypheic', 'latin1')]);
+
+        async function plannedOriginals(options) {
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, ...options });
+            return plan.map(entry => entry.original);
+        }
+
+        test('should only rename files matching the include globs', async () => {
+            createTestFiles(['a.jpg', 'b.TIF', 'index.txt', 'receipt.pdf']);
+            
+            expect(await plannedOriginals({ include: '*.{jpg,tif}' })).toEqual(['a.jpg', 'b.TIF']);
+            expect(consoleOutput.join('\n')).toMatch(/index\.txt \(not matched by include patterns\)/);
+        });
+
+        test('should leave files matching the exclude globs untouched', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'receipt.pdf', 'Thumbs.db']);
+            const dirName = path.basename(testDir);
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { exclude: ['*.pdf', 'thumbs.db'] });
+            
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`]);
+            expect(fs.existsSync(path.join(testDir, 'receipt.pdf'))).toBe(true);
+            expect(fs.existsSync(path.join(testDir, 'Thumbs.db'))).toBe(true);
+            expect(fs.existsSync(path.join(testDir, 'lab scans', 'receipt.pdf'))).toBe(false);
+            
+            const output = consoleOutput.join('\n');
+            expect(output).toContain('Left untouched (2 excluded files):');
+            expect(output).toContain('receipt.pdf (matched exclude pattern *.pdf)');
+            
+            const manifest = readManifest();
+            expect(manifest.runs[0].excluded).toEqual(['receipt.pdf', 'Thumbs.db']);
+        });
+
+        test('should detect images by content in images-only mode', async () => {
+            fs.writeFileSync(path.join(testDir, 'a.jpg'), jpegBytes);
+            fs.writeFileSync(path.join(testDir, 'b.dng'), tiffBytes);
+            fs.writeFileSync(path.join(testDir, 'c.png'), pngBytes);
+            fs.writeFileSync(path.join(testDir, 'd.heic'), heicBytes);
+            fs.writeFileSync(path.join(testDir, 'e.jpg'), 'not really a jpeg');
+            fs.writeFileSync(path.join(testDir, 'scan_0006'), jpegBytes);
+            fs.writeFileSync(path.join(testDir, 'empty.tif'), '');
+            
+            expect(await plannedOriginals({ imagesOnly: true })).toEqual(['a.jpg', 'b.dng', 'c.png', 'd.heic', 'scan_0006']);
+            expect(consoleOutput.join('\n')).toContain('e.jpg (not an image)');
+        });
+
+        test('should keep the sidecars of the images in images-only mode when grouping them', async () => {
+            const dirName = path.basename(testDir);
+            fs.writeFileSync(path.join(testDir, 'a.jpg'), jpegBytes);
+            createTestFiles(['a.xmp', 'notes.xmp']);
+            
+            const { plan, excluded } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                dryRun: true, imagesOnly: true, groupSidecars: true
+            });
+            
+            expect(plan).toEqual([
+                { original: 'a.jpg', renamed: `${dirName}_01.jpg` },
+                { original: 'a.xmp', renamed: `${dirName}_01.xmp` }
+            ]);
+            expect(excluded).toEqual([{ name: 'notes.xmp', reason: 'not an image' }]);
+            expect(await plannedOriginals({ imagesOnly: true })).toEqual(['a.jpg']);
+        });
+
+        test('should report when every file was excluded', async () => {
+            createTestFiles(['index.txt']);
+            
+            expect((await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { imagesOnly: true })).processed).toEqual([]);
+            expect(consoleOutput.join('\n')).toContain('index.txt (not an image)');
+            expect(fs.existsSync(path.join(testDir, 'lab scans'))).toBe(false);
+        });
+
+        test('should take the filters from the command line', () => {
+            const { parseArgs } = require('./rename-files');
+            const { options } = parseArgs(['--include', '*.jpg', '--exclude=*.pdf,Thumbs.db', '--images-only']);
+            
+            expect(options).toMatchObject({ include: '*.jpg', exclude: '*.pdf,Thumbs.db', imagesOnly: true });
+        });
+
+        test('should reject invalid globs when the arguments are read', () => {
+            const { parseArgs, UsageError } = require('./rename-files');
+            
+            expect(() => parseArgs(['--include', '*.{jpg'])).toThrow(UsageError);
+            expect(() => parseArgs(['--include', '*.{jpg'])).toThrow('--include: Invalid glob "*.{jpg": { without a closing }');
+            expect(() => parseArgs(['--exclude', 'scan_[z-a].tif'])).toThrow('--exclude: Invalid glob "scan_[z-a].tif": Range out of order');
+        });
+    });
+
+    describe('Collision handling', () => {
+        const { CollisionError, parseArgs, undoRename, UsageError } = require('./rename-files');
+
+        test('should refuse by default when a target already exists', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg', `${dirName}_02.jpg`]);
+            
+            let error;
+            try {
+                await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { exclude: `${dirName}_*` });
+            } catch (e) {
+                error = e;
+            }
+            
+            expect(error).toBeInstanceOf(CollisionError);
+            expect(error.message).toContain(`b.jpg: ${dirName}_02.jpg already exists`);
+            expect(error.collisions).toEqual([{
+                file: 'b.jpg', kind: 'existing', target: `${dirName}_02.jpg`, message: `b.jpg: ${dirName}_02.jpg already exists`
+            }]);
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg', `${dirName}_02.jpg`]);
+        });
+
+        test('should catch targets and backups that only differ in case', async () => {
+            createTestFiles(['A.jpg', 'a.jpg']);
+            
+            const run = renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template: '{origname}_v2{ext}' });
+            
+            await expect(run).rejects.toThrow('A.jpg: A_v2.jpg is also the target of a.jpg');
+            await expect(run).rejects.toThrow('A.jpg: a backup with this name already exists in lab scans');
+        });
+
+        test('should add a numeric suffix to taken names and backups', async () => {
+            createTestFiles(['A.jpg', 'a.jpg']);
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                template: '{origname}_v2{ext}', onCollision: 'suffix'
+            });
+            
+            expect(processed).toEqual([
+                { original: 'a.jpg', renamed: 'a_v2.jpg' },
+                { original: 'A.jpg', renamed: 'A_v2-1.jpg', backup: 'A-1.jpg' }
+            ]);
+            expect(fs.readdirSync(path.join(testDir, 'lab scans')).sort()).toEqual(['A-1.jpg', 'a.jpg']);
+            expect(readManifest().runs[0].files[1].backup).toBe('A-1.jpg');
+        });
+
+        test('should restore suffixed backups under their original name on undo', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'frame_02.jpg']);
+            fs.mkdirSync(path.join(testDir, 'lab scans'));
+            fs.writeFileSync(path.join(testDir, 'lab scans', 'b.jpg'), 'older backup');
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                template: 'frame_{index}{ext}', exclude: 'frame_*', onCollision: 'suffix'
+            });
+            expect(fs.readFileSync(path.join(testDir, 'frame_02-1.jpg'), 'utf8')).toBe('Test content for b.jpg');
+            expect(fs.readFileSync(path.join(testDir, 'lab scans', 'b-1.jpg'), 'utf8')).toBe('Test content for b.jpg');
+            
+            await undoRename(testDir);
+            
+            expect(fs.readFileSync(path.join(testDir, 'b.jpg'), 'utf8')).toBe('Test content for b.jpg');
+            expect(fs.readFileSync(path.join(testDir, 'lab scans', 'b.jpg'), 'utf8')).toBe('older backup');
+        });
+
+        test('should leave colliding files untouched with the skip policy', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg', `${dirName}_02.jpg`]);
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                exclude: `${dirName}_*`, onCollision: 'skip'
+            });
+            
+            expect(processed.map(entry => entry.original)).toEqual(['a.jpg', 'c.jpg']);
+            expect(fs.readFileSync(path.join(testDir, 'b.jpg'), 'utf8')).toBe('Test content for b.jpg');
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_02.jpg`), 'utf8')).toBe(`Test content for ${dirName}_02.jpg`);
+            expect(readManifest().runs[0].skipped).toEqual(['b.jpg']);
+            expect(consoleOutput.join('\n')).toContain(`Skipping b.jpg: ${dirName}_02.jpg already exists`);
+        });
+
+        test('should replace existing files and backups with the overwrite policy', async () => {
+            createTestFiles(['a.jpg', 'b.jpg', 'frame_02.jpg']);
+            fs.mkdirSync(path.join(testDir, 'lab scans'));
+            fs.writeFileSync(path.join(testDir, 'lab scans', 'b.jpg'), 'older backup');
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                template: 'frame_{index}{ext}', exclude: 'frame_*', onCollision: 'overwrite'
+            });
+            
+            expect(fs.readFileSync(path.join(testDir, 'frame_02.jpg'), 'utf8')).toBe('Test content for b.jpg');
+            expect(fs.readFileSync(path.join(testDir, 'lab scans', 'b.jpg'), 'utf8')).toBe('Test content for b.jpg');
+        });
+
+        test('should never overwrite a scan that still has to be renamed', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', `${dirName}_01.jpg`]);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { onCollision: 'overwrite' }))
+                .rejects.toThrow(`a.jpg: ${dirName}_01.jpg would be overwritten before it is renamed`);
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', `${dirName}_01.jpg`]);
+        });
+
+        test('should show resolved names in a dry run', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', `${dirName}_01.jpg`]);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { dryRun: true, onCollision: 'suffix' });
+            
+            expect(plan.map(entry => entry.renamed)).toEqual([`${dirName}_01-1.jpg`, `${dirName}_02.jpg`]);
+        });
+
+        test('should take the policy from the command line', () => {
+            expect(parseArgs(['--on-collision', 'skip']).options.onCollision).toBe('skip');
+            expect(() => parseArgs(['--on-collision', 'rename'])).toThrow(UsageError);
+        });
+    });
+
+    describe('Interrupted runs', () => {
+        const { InterruptedRunError, parseArgs, undoRename, UsageError } = require('./rename-files');
+        const journalPath = () => path.join(testDir, '.rename-journal.json');
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        function describeContent(content) {
+            return { size: Buffer.byteLength(content), sha256: require('crypto').createHash('sha256').update(content).digest('hex') };
+        }
+
+        // Leaves the roll as a run killed while renaming b.jpg would: a.jpg done, b.jpg copied, c.jpg untouched
+        function simulateInterruptedRun(bState = 'renaming') {
+            const dirName = path.basename(testDir);
+            const labScansDir = path.join(testDir, 'lab scans');
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            fs.mkdirSync(labScansDir);
+            fs.copyFileSync(path.join(testDir, 'a.jpg'), path.join(labScansDir, 'a.jpg'));
+            fs.renameSync(path.join(testDir, 'a.jpg'), path.join(testDir, `${dirName}_01.jpg`));
+            fs.copyFileSync(path.join(testDir, 'b.jpg'), path.join(labScansDir, 'b.jpg'));
+            
+            fs.writeFileSync(journalPath(), JSON.stringify({
+                version: 1,
+                directory: dirName,
+                labScansDirExisted: false,
+                run: {
+                    date: '2026-10-19T10:00:00.000Z', startingIndex: null, skipNumbers: [], letterSuffix: '', sort: 'name',
+                    reverse: false, groupSidecars: false, backupDir: 'lab scans', template: '{dir}_{index}{suffix}{ext}',
+                    mapping: null, onCollision: 'error', skipped: [], excluded: []
+                },
+                entries: [
+                    { original: 'a.jpg', renamed: `${dirName}_01.jpg`, state: 'done', ...describeContent('Test content for a.jpg') },
+                    { original: 'b.jpg', renamed: `${dirName}_02.jpg`, state: bState, ...describeContent('Test content for b.jpg') },
+                    { original: 'c.jpg', renamed: `${dirName}_03.jpg`, state: 'pending' }
+                ]
+            }));
+        }
+
+        test('should journal each step before carrying it out and remove the journal afterwards', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const events = [];
+            const realWriteFileSync = fs.writeFileSync;
+            const realCopyFile = fs.promises.copyFile;
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs, 'writeFileSync').mockImplementation((filePath, data, ...rest) => {
+                if (String(filePath).endsWith('.rename-journal.json.tmp')) {
+                    events.push(`journal ${JSON.parse(data).entries.map(entry => entry.state).join(',')}`);
+                }
+                return realWriteFileSync(filePath, data, ...rest);
+            });
+            jest.spyOn(fs.promises, 'copyFile').mockImplementation((from, ...rest) => {
+                events.push(`copy ${path.basename(from)}`);
+                return realCopyFile(from, ...rest);
+            });
+            jest.spyOn(fs.promises, 'rename').mockImplementation((from, to) => {
+                events.push(`rename ${path.basename(from)}`);
+                return realRename(from, to);
+            });
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { concurrency: 1 });
+            
+            expect(events).toEqual([
+                'journal pending,pending',
+                'journal copying,pending', 'copy a.jpg',
+                'journal renaming,pending', 'rename a.jpg',
+                'journal done,copying', 'copy b.jpg',
+                'journal done,renaming', 'rename b.jpg'
+            ]);
+            expect(fs.existsSync(journalPath())).toBe(false);
+        });
+
+        test('should refuse with an InterruptedRunError instead of "already renamed"', async () => {
+            simulateInterruptedRun();
+            const before = fs.readdirSync(testDir).sort();
+            
+            const run = renameFilesByAlphabeticalOrder(testDir);
+            await expect(run).rejects.toThrow(InterruptedRunError);
+            await expect(run).rejects.toThrow('(1 of 3 files renamed)');
+            expect(fs.readdirSync(testDir).sort()).toEqual(before);
+        });
+
+        test('should resume where the run stopped', async () => {
+            const dirName = path.basename(testDir);
+            simulateInterruptedRun();
+            const copySpy = jest.spyOn(fs.promises, 'copyFile');
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { resume: true });
+            
+            expect(processed.map(entry => entry.renamed)).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`, `${dirName}_03.jpg`]);
+            // b.jpg was already backed up, so only c.jpg is copied
+            expect(copySpy).toHaveBeenCalledTimes(1);
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`, `${dirName}_03.jpg`]);
+            verifyOriginalFilesInLabScans(['a.jpg', 'b.jpg', 'c.jpg']);
+            expect(fs.existsSync(journalPath())).toBe(false);
+            
+            const manifest = readManifest();
+            expect(manifest.runs[0].date).toBe('2026-10-19T10:00:00.000Z');
+            expect(manifest.runs[0].files.map(entry => entry.original)).toEqual(['a.jpg', 'b.jpg', 'c.jpg']);
+            expect(manifest.runs[0].files[2]).toEqual({ original: 'c.jpg', renamed: `${dirName}_03.jpg`, ...describeContent('Test content for c.jpg') });
+        });
+
+        test('should not rename again when the interrupted rename had already happened', async () => {
+            const dirName = path.basename(testDir);
+            simulateInterruptedRun();
+            fs.renameSync(path.join(testDir, 'b.jpg'), path.join(testDir, `${dirName}_02.jpg`));
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { resume: true });
+            
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`, `${dirName}_03.jpg`]);
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_02.jpg`), 'utf8')).toBe('Test content for b.jpg');
+        });
+
+        test('should copy again when the interrupted copy may be incomplete', async () => {
+            const dirName = path.basename(testDir);
+            simulateInterruptedRun('copying');
+            fs.writeFileSync(path.join(testDir, 'lab scans', 'b.jpg'), 'Test con');
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { resume: true });
+            
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`, `${dirName}_03.jpg`]);
+            verifyOriginalFilesInLabScans(['a.jpg', 'b.jpg', 'c.jpg']);
+        });
+
+        test('should roll an interrupted run back to the original state', async () => {
+            simulateInterruptedRun('copying');
+            
+            const { restored } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { rollback: true });
+            
+            expect(restored).toEqual([{ original: 'a.jpg', renamed: `${path.basename(testDir)}_01.jpg` }]);
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg', 'c.jpg']);
+            expect(fs.readFileSync(path.join(testDir, 'a.jpg'), 'utf8')).toBe('Test content for a.jpg');
+        });
+
+        test('should describe the interrupted run in a dry run without changing anything', async () => {
+            const dirName = path.basename(testDir);
+            simulateInterruptedRun();
+            const before = fs.readdirSync(testDir).sort();
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { resume: true, dryRun: true });
+            
+            expect(fs.readdirSync(testDir).sort()).toEqual(before);
+            const output = consoleOutput.join('\n');
+            expect(output).toContain(`a.jpg → ${dirName}_01.jpg (done)`);
+            expect(output).toContain(`b.jpg → ${dirName}_02.jpg (copied)`);
+            expect(output).toContain(`c.jpg → ${dirName}_03.jpg (pending)`);
+        });
+
+        test('should refuse to undo earlier runs while a run is interrupted', async () => {
+            simulateInterruptedRun();
+            
+            await expect(undoRename(testDir)).rejects.toThrow(InterruptedRunError);
+        });
+
+        test('should remove the backups of files that failed so undo leaves nothing behind', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === 'b.jpg') {
+                    throw new Error('EBUSY: resource busy');
+                }
+                return realRename(from, to);
+            });
+            
+            const { failed } = await renameFilesByAlphabeticalOrder(testDir);
+            
+            expect(failed.map(({ original }) => original)).toEqual(['b.jpg']);
+            expect(fs.readdirSync(path.join(testDir, 'lab scans'))).toEqual(['a.jpg']);
+            
+            await undoRename(testDir);
+            
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg']);
+        });
+
+        test('should complain when there is nothing to resume', async () => {
+            createTestFiles(['a.jpg']);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { resume: true }))
+                .rejects.toThrow('No interrupted run found');
+        });
+
+        test('should take --resume and --rollback from the command line', () => {
+            expect(parseArgs(['--resume']).options.resume).toBe(true);
+            expect(parseArgs(['--rollback']).options.rollback).toBe(true);
+            expect(() => parseArgs(['--resume', '--rollback'])).toThrow(UsageError);
+        });
+    });
+
+    describe('Append mode', () => {
+        const { parseArgs } = require('./rename-files');
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should number late files after the highest existing frame', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir);
+            createTestFiles(['rescan_2.jpg', 'rescan_1.jpg']);
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { append: true });
+            
+            expect(processed).toEqual([
+                { original: 'rescan_1.jpg', renamed: `${dirName}_04.jpg` },
+                { original: 'rescan_2.jpg', renamed: `${dirName}_05.jpg` }
+            ]);
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_01.jpg`), 'utf8')).toBe('Test content for a.jpg');
+            verifyOriginalFilesInLabScans(['a.jpg', 'b.jpg', 'c.jpg', 'rescan_1.jpg', 'rescan_2.jpg']);
+            
+            const { runs } = readManifest();
+            expect(runs).toHaveLength(2);
+            expect(runs[1].append).toBe(true);
+            expect(runs[1].files.map(entry => entry.frame)).toEqual([4, 5]);
+        });
+
+        test('should retry the files of a run that partly failed', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const realRename = fs.promises.rename;
+            const rename = jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === 'b.jpg') {
+                    throw new Error('EBUSY: resource busy');
+                }
+                return realRename(from, to);
+            });
+            await renameFilesByAlphabeticalOrder(testDir);
+            rename.mockRestore();
+            
+            const { processed, failed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { append: true });
+            
+            expect(failed).toEqual([]);
+            expect(processed).toEqual([{ original: 'b.jpg', renamed: `${dirName}_02.jpg` }]);
+            verifyOriginalFilesInLabScans(['a.jpg', 'b.jpg']);
+        });
+
+        test('should carry the {counter} on after the existing frames', async () => {
+            createTestFiles(['a.jpg', 'a.xmp', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template: 'scan-{counter:3}{ext}', groupSidecars: true });
+            createTestFiles(['late.jpg']);
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                append: true, template: 'scan-{counter:3}{ext}', groupSidecars: true
+            });
+            
+            expect(processed).toEqual([{ original: 'late.jpg', renamed: 'scan-003.jpg' }]);
+        });
+
+        test('should continue after frames recorded in the manifest even when names have no {dir}_ prefix', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { template: 'frame-{index}{ext}' });
+            createTestFiles(['late.jpg']);
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                append: true, template: 'frame-{index}{ext}'
+            });
+            
+            expect(processed).toEqual([{ original: 'late.jpg', renamed: 'frame-03.jpg' }]);
+        });
+
+        test('should find the highest frame from filenames when there is no manifest', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles([`${dirName}_0.jpg`, `${dirName}_01.jpg`, `${dirName}_12A.jpg`, 'late.jpg']);
+            fs.mkdirSync(path.join(testDir, 'lab scans'));
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, 'x', [13], '', { append: true, dryRun: true });
+            
+            // Starting index patterns are ignored and skip numbers still apply
+            expect(plan).toEqual([{ original: 'late.jpg', renamed: `${dirName}_14.jpg` }]);
+        });
+
+        test('should be undone together with the earlier runs', async () => {
+            createTestFiles(['a.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir);
+            createTestFiles(['b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { append: true });
+            
+            await require('./rename-files').undoRename(testDir);
+            
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg']);
+        });
+
+        test('should take --append from the command line', () => {
+            expect(parseArgs(['--append']).options.append).toBe(true);
+        });
+    });
+
+    describe('Replacing a frame', () => {
+        const { replaceFrame, undoRename, parseArgs, UsageError } = require('./rename-files');
+        let rescanDir;
+
+        beforeEach(() => {
+            rescanDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-rescan-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(rescanDir, { recursive: true, force: true });
+        });
+
+        function createRescan(name, content = `Rescan ${name}`) {
+            const rescanPath = path.join(rescanDir, name);
+            fs.writeFileSync(rescanPath, content);
+            return rescanPath;
+        }
+
+        test('should swap a frame for a rescan under the same name and archive the old version', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], 'A');
+            const rescanPath = createRescan('new_scan.jpg');
+            
+            const result = await replaceFrame(testDir, '2', rescanPath);
+            
+            expect(result).toEqual({
+                original: 'new_scan.jpg', renamed: `${dirName}_02A.jpg`, replaced: `${dirName}_02A.jpg`,
+                superseded: `superseded/v1/${dirName}_02A.jpg`
+            });
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_02A.jpg`), 'utf8')).toBe('Rescan new_scan.jpg');
+            expect(fs.readFileSync(path.join(testDir, 'lab scans', 'superseded', 'v1', `${dirName}_02A.jpg`), 'utf8'))
+                .toBe('Test content for b.jpg');
+            expect(fs.existsSync(rescanPath)).toBe(true);
+            
+            const manifest = readManifest();
+            expect(manifest.runs[1]).toMatchObject({ type: 'replace', backupDir: 'lab scans' });
+            expect(manifest.runs[1].files[0]).toMatchObject({ index: '02', frame: 2, source: rescanPath });
+        });
+
+        test('should tell the special starting indexes apart', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, 'x');
+            
+            await replaceFrame(testDir, '0', createRescan('zero.jpg'));
+            await replaceFrame(testDir, '00', createRescan('double-zero.jpg'));
+            await replaceFrame(testDir, 'x', createRescan('x.jpg'));
+            await replaceFrame(testDir, 1, createRescan('one.jpg'));
+            
+            expect(fs.readFileSync(path.join(testDir, `${dirName}___X.jpg`), 'utf8')).toBe('Rescan x.jpg');
+            expect(fs.readFileSync(path.join(testDir, `${dirName}__00.jpg`), 'utf8')).toBe('Rescan double-zero.jpg');
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_0.jpg`), 'utf8')).toBe('Rescan zero.jpg');
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_01.jpg`), 'utf8')).toBe('Rescan one.jpg');
+        });
+
+        test('should take the extension from the rescan and version repeated replacements', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir);
+            
+            await replaceFrame(testDir, '1', createRescan('first.jpg'));
+            await replaceFrame(testDir, '1', createRescan('second.jpg'));
+            const result = await replaceFrame(testDir, '1', createRescan('third.tif'));
+            
+            expect(result.renamed).toBe(`${dirName}_01.tif`);
+            expect(fs.existsSync(path.join(testDir, `${dirName}_01.jpg`))).toBe(false);
+            const superseded = path.join(testDir, 'lab scans', 'superseded');
+            expect(fs.readFileSync(path.join(superseded, 'v1', `${dirName}_01.jpg`), 'utf8')).toBe('Test content for a.jpg');
+            expect(fs.readFileSync(path.join(superseded, 'v2', `${dirName}_01.jpg`), 'utf8')).toBe('Rescan first.jpg');
+            expect(fs.readFileSync(path.join(superseded, 'v3', `${dirName}_01.jpg`), 'utf8')).toBe('Rescan second.jpg');
+        });
+
+        test('should move a rescan delivered into the roll and back it up', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir);
+            createTestFiles(['rescan.jpg']);
+            
+            await replaceFrame(testDir, '2', path.join(testDir, 'rescan.jpg'));
+            
+            expect(fs.existsSync(path.join(testDir, 'rescan.jpg'))).toBe(false);
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_02.jpg`), 'utf8')).toBe('Test content for rescan.jpg');
+            verifyOriginalFilesInLabScans(['a.jpg', 'b.jpg', 'rescan.jpg']);
+        });
+
+        test('should be reversed by undo', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir);
+            await replaceFrame(testDir, '1', createRescan('first.tif'));
+            createTestFiles(['rescan.jpg']);
+            await replaceFrame(testDir, '1', path.join(testDir, 'rescan.jpg'));
+            
+            await undoRename(testDir);
+            
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg', 'rescan.jpg']);
+            expect(fs.readFileSync(path.join(testDir, 'a.jpg'), 'utf8')).toBe('Test content for a.jpg');
+            expect(fs.existsSync(path.join(rescanDir, 'first.tif'))).toBe(true);
+        });
+
+        test('should refuse frames that are missing or ambiguous', async () => {
+            createTestFiles(['a.arw', 'a.jpg', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { groupSidecars: true });
+            
+            await expect(replaceFrame(testDir, '7', createRescan('x.jpg'))).rejects.toThrow('Frame 7 was not found');
+            await expect(replaceFrame(testDir, '1', createRescan('x.tif'))).rejects.toThrow('Frame 1 has several files');
+            await expect(replaceFrame(testDir, 'abc', createRescan('x.jpg'))).rejects.toThrow('Invalid frame "abc"');
+            
+            // With sidecars the rescan replaces the file of the same type
+            const result = await replaceFrame(testDir, '1', createRescan('x.JPG'));
+            expect(result.replaced).toBe(`${path.basename(testDir)}_01.jpg`);
+        });
+
+        test('should parse the replace command', () => {
+            const cli = parseArgs(['replace', '14', 'new_scan.tif', '--dir', testDir]);
+            
+            expect(cli).toMatchObject({ command: 'replace', frame: '14', replacementPath: 'new_scan.tif', directoryPath: testDir });
+            expect(parseArgs(['replace', '00', 'scan.tif', testDir]).directoryPath).toBe(testDir);
+            expect(() => parseArgs(['replace', '14'])).toThrow(UsageError);
+            expect(() => parseArgs(['replace', 'y', 'scan.tif'])).toThrow(UsageError);
+        });
+    });
+
+    describe('Backup modes', () => {
+        const { parseArgs, undoRename } = require('./rename-files');
+
+        test('should hardlink originals into lab scans', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg']);
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupMode: 'hardlink' });
+            
+            verifyOriginalFilesInLabScans(['a.jpg', 'b.jpg']);
+            const renamedStat = fs.statSync(path.join(testDir, `${dirName}_01.jpg`));
+            const backupStat = fs.statSync(path.join(testDir, 'lab scans', 'a.jpg'));
+            expect(backupStat.ino).toBe(renamedStat.ino);
+            expect(consoleOutput.join('\n')).toContain('Backup mode: hardlink');
+        });
+
+        test('should replace an existing backup with a hardlink under the overwrite policy', async () => {
+            createTestFiles(['a.jpg']);
+            fs.mkdirSync(path.join(testDir, 'lab scans'));
+            fs.writeFileSync(path.join(testDir, 'lab scans', 'a.jpg'), 'older backup');
+            
+            const { processed, failed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                backupMode: 'hardlink', onCollision: 'overwrite'
+            });
+            
+            expect(failed).toEqual([]);
+            expect(processed.map(entry => entry.original)).toEqual(['a.jpg']);
+            verifyOriginalFilesInLabScans(['a.jpg']);
+        });
+
+        test('should resume a hardlink run interrupted after the link was made', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg']);
+            fs.mkdirSync(path.join(testDir, 'lab scans'));
+            fs.linkSync(path.join(testDir, 'a.jpg'), path.join(testDir, 'lab scans', 'a.jpg'));
+            fs.writeFileSync(path.join(testDir, '.rename-journal.json'), JSON.stringify({
+                version: 1,
+                directory: dirName,
+                labScansDirExisted: false,
+                run: {
+                    date: '2026-10-19T10:00:00.000Z', startingIndex: null, skipNumbers: [], letterSuffix: '', sort: 'name',
+                    reverse: false, groupSidecars: false, backupDir: 'lab scans', backupMode: 'hardlink',
+                    template: '{dir}_{index}{suffix}{ext}', mapping: null, onCollision: 'error', skipped: [], excluded: []
+                },
+                entries: [{ original: 'a.jpg', renamed: `${dirName}_01.jpg`, state: 'copying' }]
+            }));
+            
+            const { processed, failed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { resume: true });
+            
+            expect(failed).toEqual([]);
+            expect(processed.map(entry => entry.renamed)).toEqual([`${dirName}_01.jpg`]);
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`]);
+            verifyOriginalFilesInLabScans(['a.jpg']);
+        });
+
+        test('should clone originals with reflink, falling back to a copy', async () => {
+            createTestFiles(['a.jpg']);
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupMode: 'reflink' });
+            
+            verifyOriginalFilesInLabScans(['a.jpg']);
+            expect(consoleOutput.join('\n')).toContain('Backup mode: reflink');
+        });
+
+        test('should only rename with backup mode none and rename back on undo', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg']);
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupMode: 'none' });
+            
+            expect(processed).toEqual([
+                { original: 'a.jpg', renamed: `${dirName}_01.jpg` },
+                { original: 'b.jpg', renamed: `${dirName}_02.jpg` }
+            ]);
+            expect(fs.existsSync(path.join(testDir, 'lab scans'))).toBe(false);
+            expect(fs.existsSync(path.join(testDir, 'a.jpg'))).toBe(false);
+            expect(consoleOutput.join('\n')).toContain('No backups were made (backup mode: none)');
+            
+            await undoRename(testDir);
+            
+            expect(fs.readFileSync(path.join(testDir, 'a.jpg'), 'utf8')).toBe('Test content for a.jpg');
+            expect(fs.readFileSync(path.join(testDir, 'b.jpg'), 'utf8')).toBe('Test content for b.jpg');
+            expect(getRenamedFiles()).toEqual([]);
+        });
+
+        test('should refuse to undo a run without backups when a renamed file is missing', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupMode: 'none' });
+            fs.unlinkSync(path.join(testDir, `${dirName}_01.jpg`));
+            
+            await expect(undoRename(testDir)).rejects.toThrow('file is missing and there is no backup to restore');
+        });
+
+        test('should reject an unknown backup mode', async () => {
+            createTestFiles(['a.jpg']);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupMode: 'move' }))
+                .rejects.toThrow('Unknown backup mode "move"');
+            expect(() => parseArgs(['.', '--backup-mode', 'move'])).toThrow('Invalid backup mode "move"');
+            expect(parseArgs(['.', '--backup-mode', 'hardlink']).options.backupMode).toBe('hardlink');
+        });
+    });
+
+    describe('Backup archives', () => {
+        const { parseArgs, undoRename } = require('./rename-files');
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test.each(['zip', 'tar.gz'])('should bundle originals into a %s archive and restore them on undo', async format => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const mtime = new Date('2024-03-01T12:00:00Z');
+            fs.utimesSync(path.join(testDir, 'a.jpg'), mtime, mtime);
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupArchive: format });
+            
+            expect(fs.existsSync(path.join(testDir, `lab-scans.${format}`))).toBe(true);
+            expect(fs.existsSync(path.join(testDir, 'lab scans'))).toBe(false);
+            expect(getRenamedFiles()).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`]);
+            expect(consoleOutput.join('\n')).toContain(`compressed into a ${format} archive`);
+            
+            await undoRename(testDir);
+            
+            expect(fs.readFileSync(path.join(testDir, 'a.jpg'), 'utf8')).toBe('Test content for a.jpg');
+            expect(fs.readFileSync(path.join(testDir, 'b.jpg'), 'utf8')).toBe('Test content for b.jpg');
+            expect(fs.statSync(path.join(testDir, 'a.jpg')).mtime.getTime()).toBe(mtime.getTime());
+            expect(getRenamedFiles()).toEqual([]);
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg']);
+        });
+
+        test('should add late rescans to the existing archive', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupArchive: 'tar.gz' });
+            createTestFiles(['rescan.jpg']);
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupArchive: 'tar.gz', append: true });
+            
+            expect(processed).toEqual([{ original: 'rescan.jpg', renamed: `${dirName}_03.jpg` }]);
+            expect(fs.readdirSync(testDir).filter(name => name.startsWith('.') && name !== '.rename-manifest.json')).toEqual([]);
+            
+            await undoRename(testDir);
+            
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg', 'rescan.jpg']);
+            expect(fs.readFileSync(path.join(testDir, 'rescan.jpg'), 'utf8')).toBe('Test content for rescan.jpg');
+        });
+
+        test('should remove a new archive when a transactional run rolls back', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === 'b.jpg') {
+                    throw new Error('EACCES: permission denied');
+                }
+                return realRename(from, to);
+            });
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupArchive: 'zip', transactional: true }))
+                .rejects.toThrow('the roll is unchanged');
+            
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg']);
+        });
+
+        test('should refuse to undo when the archive is missing', async () => {
+            createTestFiles(['a.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupArchive: 'zip' });
+            fs.unlinkSync(path.join(testDir, 'lab-scans.zip'));
+            
+            await expect(undoRename(testDir)).rejects.toThrow('a.jpg: backup is missing from lab-scans.zip');
+        });
+
+        test('should clean up after an archive that can\'t be extracted', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupArchive: 'zip' });
+            const archivePath = path.join(testDir, 'lab-scans.zip');
+            fs.writeFileSync(archivePath, fs.readFileSync(archivePath).fill(0, 30, 60));
+            const rmdirSync = jest.spyOn(fs, 'rmdirSync');
+            
+            await expect(undoRename(testDir)).rejects.toThrow('Cannot undo, nothing was changed: could not extract the backup archive');
+            
+            expect(rmdirSync).not.toHaveBeenCalledWith(expect.anything(), { recursive: true });
+            expect(fs.readdirSync(testDir).filter(name => !name.startsWith(`${path.basename(testDir)}_`)).sort())
+                .toEqual(['.rename-manifest.json', 'lab-scans.zip']);
+        });
+
+        test('should refuse a zip archive that could outgrow 4 GB before writing it', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const realStatSync = fs.statSync;
+            jest.spyOn(fs, 'statSync').mockImplementation((filePath, ...rest) => {
+                const stat = realStatSync(filePath, ...rest);
+                return /[ab]\.jpg$/.test(filePath) ? Object.assign(stat, { size: 3 * 1024 ** 3 }) : stat;
+            });
+            const createWriteStream = jest.spyOn(fs, 'createWriteStream');
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupArchive: 'zip' }))
+                .rejects.toThrow('Could not write lab-scans.zip (2 originals come to over 4 GB, more than a zip archive can hold; use tar.gz instead)');
+            
+            expect(createWriteStream).not.toHaveBeenCalled();
+            expect(fs.readdirSync(testDir).sort()).toEqual(['a.jpg', 'b.jpg']);
+        });
+
+        test('should validate the archive format', async () => {
+            createTestFiles(['a.jpg']);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupArchive: 'rar' }))
+                .rejects.toThrow('Unknown backup archive format "rar"');
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { backupArchive: 'zip', backupMode: 'hardlink' }))
+                .rejects.toThrow('can\'t be combined with backup mode "hardlink"');
+            expect(() => parseArgs(['.', '--backup-archive', 'rar'])).toThrow('Invalid backup archive format "rar"');
+            expect(parseArgs(['.', '--backup-archive', 'tar.gz']).options.backupArchive).toBe('tar.gz');
+        });
+    });
+
+    describe('Frame numbers from lab filenames', () => {
+        const { FrameNumberError, parseArgs } = require('./rename-files');
+
+        test('should number Noritsu exports by their frame number, leaving gaps for dropped frames', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['000123450001.jpg', '000123450002.jpg', '000123450005.jpg']);
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { framesFrom: 'noritsu' });
+            
+            expect(processed.map(({ renamed }) => renamed)).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`, `${dirName}_05.jpg`]);
+            expect(consoleOutput.join('\n')).toContain('Frame numbers read from the filenames (noritsu)');
+        });
+
+        test('should read Frontier frame numbers whatever the sort order', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['R1-07021-0012.JPG', 'R1-07021-0003.JPG']);
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { framesFrom: 'frontier', sort: 'size', reverse: true });
+            
+            expect(processed.map(({ original, renamed }) => [original, renamed]).sort()).toEqual([
+                ['R1-07021-0003.JPG', `${dirName}_03.JPG`],
+                ['R1-07021-0012.JPG', `${dirName}_12.JPG`]
+            ]);
+        });
+
+        test('should accept a custom pattern and keep mapped frames', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['scan_f7.tif', 'scan_f9.tif', 'cover.tif']);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                framesFrom: '_f(\\d+)$', mapping: { 'cover.tif': 1 }, dryRun: true
+            });
+            
+            expect(plan).toEqual([
+                { original: 'cover.tif', renamed: `${dirName}_01.tif` },
+                { original: 'scan_f7.tif', renamed: `${dirName}_07.tif` },
+                { original: 'scan_f9.tif', renamed: `${dirName}_09.tif` }
+            ]);
+        });
+
+        test('should read the frame number from the members a mapping leaves alone', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['000123450012.jpg', '000123450012.xmp']);
+            
+            const { plan } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                framesFrom: 'noritsu', groupSidecars: true, mapping: { '000123450012.xmp': 'side.xmp' }, dryRun: true
+            });
+            
+            expect(plan).toEqual([
+                { original: '000123450012.jpg', renamed: `${dirName}_12.jpg` },
+                { original: '000123450012.xmp', renamed: 'side.xmp' }
+            ]);
+        });
+
+        test('should refuse files without a frame number and numbers read twice', async () => {
+            createTestFiles(['000123450001.jpg', '000999990001.jpg', 'index.jpg']);
+            
+            const promise = renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { framesFrom: 'noritsu' });
+            
+            await expect(promise).rejects.toThrow(FrameNumberError);
+            await expect(promise).rejects.toThrow('frame 1 is read from both 000123450001.jpg and 000999990001.jpg');
+            await expect(promise).rejects.toThrow('index.jpg: no frame number in the filename');
+            expect(fs.existsSync(path.join(testDir, 'index.jpg'))).toBe(true);
+        });
+
+        test('should validate the pattern on the command line', () => {
+            expect(parseArgs(['.', '--frames-from', 'frontier']).options.framesFrom).toBe('frontier');
+            expect(() => parseArgs(['.', '--frames-from', '\\d+'])).toThrow('needs a group around the number');
+            expect(() => parseArgs(['.', '--frames-from', '(\\d+'])).toThrow('Invalid frame number pattern');
+        });
+    });
+
+    describe('Programmatic API', () => {
+        const { EventEmitter } = require('events');
+        const { undoRename, replaceFrame } = require('./rename-files');
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should resolve to a result listing processed, failed and skipped files', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg', 'c.jpg', `${dirName}_03.jpg`]);
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === 'b.jpg') {
+                    throw new Error('EBUSY: resource busy');
+                }
+                return realRename(from, to);
+            });
+            
+            const result = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', {
+                onCollision: 'skip', exclude: `${dirName}_*`
+            });
+            
+            expect(result).toEqual({
+                processed: [{ original: 'a.jpg', renamed: `${dirName}_01.jpg` }],
+                failed: [{ original: 'b.jpg', renamed: `${dirName}_02.jpg`, error: 'EBUSY: resource busy' }],
+                skipped: [{ original: 'c.jpg', reason: `${dirName}_03.jpg already exists` }],
+                excluded: [{ name: `${dirName}_03.jpg`, reason: `matched exclude pattern ${dirName}_*` }],
+                plan: [
+                    { original: 'a.jpg', renamed: `${dirName}_01.jpg` },
+                    { original: 'b.jpg', renamed: `${dirName}_02.jpg` }
+                ],
+                dryRun: false
+            });
+        });
+
+        test('should send all output to the logger instead of the console', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const lines = [];
+            const logger = { log: (...args) => lines.push(args.join(' ')), error: (...args) => lines.push(`ERROR ${args.join(' ')}`) };
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { logger });
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { logger })).rejects.toThrow();
+            
+            expect(consoleOutput).toEqual([]);
+            expect(lines).toContain('Found 2 files to rename and move in directory: ' + path.basename(testDir));
+            expect(lines.some(line => line.startsWith('Renamed: a.jpg'))).toBe(true);
+            expect(lines.some(line => line.startsWith('\nProcessing complete!'))).toBe(true);
+            expect(lines[lines.length - 1]).toContain('ERROR Error: It seems you\'ve already renamed these photos');
+        });
+
+        test('should pass the logger one formatted message per line', async () => {
+            createTestFiles(['a.jpg']);
+            const lines = [];
+            const logger = { log: message => lines.push(message), error: message => lines.push(`ERROR ${message}`) };
+            
+            await expect(undoRename(testDir, { logger })).rejects.toThrow();
+            await expect(replaceFrame(testDir, 5, path.join(testDir, 'a.jpg'), { logger })).rejects.toThrow();
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { logger });
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { logger })).rejects.toThrow();
+            
+            const errors = lines.filter(line => line.startsWith('ERROR'));
+            expect(errors).toHaveLength(3);
+            expect(errors[0]).toBe(`ERROR Error: No rename manifest found in ${testDir}. Nothing to undo.`);
+            expect(errors[1]).toBe(`ERROR Error: Frame 5 was not found in ${testDir}`);
+            expect(errors[2]).toContain('ERROR Error: It seems you\'ve already renamed these photos');
+        });
+
+        test('should emit plan, fileRenamed, fileFailed and done events in order', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === 'b.jpg') {
+                    throw new Error('EBUSY: resource busy');
+                }
+                return realRename(from, to);
+            });
+            const emitter = new EventEmitter();
+            const events = [];
+            ['plan', 'fileRenamed', 'fileFailed', 'done'].forEach(name => emitter.on(name, payload => events.push([name, payload])));
+            
+            const result = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { emitter });
+            
+            expect(events.map(([name]) => name)).toEqual(['plan', 'fileRenamed', 'fileFailed', 'done']);
+            expect(events[0][1]).toEqual({ directory: testDir, plan: result.plan, dryRun: false });
+            expect(events[1][1]).toEqual({ original: 'a.jpg', renamed: `${dirName}_01.jpg` });
+            expect(events[2][1]).toEqual({ original: 'b.jpg', renamed: `${dirName}_02.jpg`, error: 'EBUSY: resource busy' });
+            expect(events[3][1]).toBe(result);
+        });
+
+        test('should emit the plan and done events for a dry run', async () => {
+            createTestFiles(['a.jpg']);
+            const emitter = new EventEmitter();
+            const names = [];
+            ['plan', 'fileRenamed', 'done'].forEach(name => emitter.on(name, () => names.push(name)));
+            
+            const result = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { emitter, dryRun: true });
+            
+            expect(names).toEqual(['plan', 'done']);
+            expect(result.dryRun).toBe(true);
+            expect(result.processed).toEqual([]);
+            expect(result.plan).toHaveLength(1);
+        });
+    });
+
+    describe('Output formats and exit codes', () => {
+        const { runCli, parseArgs, renameRolls, EXIT_CODES, RefusedError, UsageError } = require('./rename-files');
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should print a single JSON report and nothing else on stdout', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['b.jpg', 'a.jpg']);
+            
+            expect(await runCli([testDir, '--json'])).toBe(EXIT_CODES.success);
+            
+            expect(consoleOutput).toHaveLength(1);
+            const report = JSON.parse(consoleOutput[0]);
+            expect(report).toEqual(expect.objectContaining({ command: 'rename', directory: testDir, status: 'success', exitCode: 0 }));
+            expect(report.processed.map(file => file.renamed)).toEqual([`${dirName}_01.jpg`, `${dirName}_02.jpg`]);
+            expect(report.failed).toEqual([]);
+        });
+
+        test('should print one JSON line per event with --ndjson', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles(['a.jpg', 'b.jpg']);
+            
+            expect(await runCli([testDir, '--ndjson'])).toBe(EXIT_CODES.success);
+            
+            const events = consoleOutput.map(line => JSON.parse(line));
+            expect(events.map(event => event.event)).toEqual(['plan', 'fileRenamed', 'fileRenamed', 'done']);
+            expect(events[1]).toEqual(expect.objectContaining({ directory: testDir, original: 'a.jpg', renamed: `${dirName}_01.jpg` }));
+            expect(events[3]).toEqual(expect.objectContaining({ status: 'success', exitCode: 0 }));
+        });
+
+        test('should exit with the partial code when some files fail', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === 'b.jpg') {
+                    throw new Error('EBUSY: resource busy');
+                }
+                return realRename(from, to);
+            });
+            
+            expect(await runCli([testDir, '--ndjson'])).toBe(EXIT_CODES.partial);
+            
+            const events = consoleOutput.map(line => JSON.parse(line));
+            expect(events.find(event => event.event === 'fileFailed')).toEqual(expect.objectContaining({
+                original: 'b.jpg', error: 'EBUSY: resource busy'
+            }));
+            expect(events[events.length - 1]).toEqual(expect.objectContaining({ event: 'done', status: 'partial', exitCode: 3 }));
+        });
+
+        test('should exit with the refused code for an already renamed roll or a missing directory', async () => {
+            createTestFiles(['a.jpg']);
+            await runCli([testDir, '--quiet']);
+            consoleOutput = [];
+            
+            expect(await runCli([testDir, '--json'])).toBe(EXIT_CODES.refused);
+            expect(JSON.parse(consoleOutput[0])).toEqual(expect.objectContaining({
+                status: 'refused',
+                exitCode: 2,
+                error: { name: 'RefusedError', message: "It seems you've already renamed these photos. Check again!" }
+            }));
+            
+            await expect(runCli([path.join(testDir, 'missing')])).rejects.toThrow(RefusedError);
+        });
+
+        test('should report rolls with failed files as partial in recursive mode', async () => {
+            fs.mkdirSync(path.join(testDir, 'roll-1'));
+            fs.writeFileSync(path.join(testDir, 'roll-1', 'a.jpg'), 'a');
+            fs.writeFileSync(path.join(testDir, 'roll-1', 'b.jpg'), 'b');
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === 'b.jpg') {
+                    throw new Error('EBUSY: resource busy');
+                }
+                return realRename(from, to);
+            });
+            
+            const results = await renameRolls(testDir);
+            
+            expect(results).toEqual([{ roll: 'roll-1', status: 'partial', files: 1, error: '1 failed' }]);
+        });
+
+        test('should only print errors with --quiet and add detail with --verbose', async () => {
+            createTestFiles(['a.jpg']);
+            
+            expect(await runCli([testDir, '--quiet', '--dry-run'])).toBe(EXIT_CODES.success);
+            expect(consoleOutput).toEqual([]);
+            
+            await runCli([testDir, '--verbose', '--dry-run', '--sort', 'natural']);
+            expect(consoleOutput).toContain('Settings: dryRun=true, sort=natural');
+            expect(consoleOutput.some(line => /^Finished in \d+\.\ds$/.test(line))).toBe(true);
+        });
+
+        test.each([
+            [['--json', '--ndjson'], 'Use either --json or --ndjson, not both'],
+            [['--quiet', '--verbose'], 'Use either --quiet or --verbose, not both']
+        ])('should reject %j', (argv, message) => {
+            expect(() => parseArgs(argv)).toThrow(UsageError);
+            expect(() => parseArgs(argv)).toThrow(message);
+        });
+    });
+
+    describe('Concurrent processing', () => {
+        const { EventEmitter } = require('events');
+        const { parseArgs, UsageError } = require('./rename-files');
+        const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should back up several files at once and still report them in plan order', async () => {
+            const testFiles = ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg', 'e.jpg'];
+            createTestFiles(testFiles);
+            const realCopyFile = fs.promises.copyFile;
+            let running = 0;
+            let mostRunning = 0;
+            jest.spyOn(fs.promises, 'copyFile').mockImplementation(async (from, ...rest) => {
+                running++;
+                mostRunning = Math.max(mostRunning, running);
+                // The first file is the slowest, so later ones finish before it
+                await delay(path.basename(from) === 'a.jpg' ? 30 : 5);
+                running--;
+                return realCopyFile(from, ...rest);
+            });
+            const emitter = new EventEmitter();
+            const reported = [];
+            emitter.on('fileRenamed', ({ original }) => reported.push(original));
+            
+            const { processed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { concurrency: 2, emitter });
+            
+            expect(mostRunning).toBe(2);
+            expect(processed.map(entry => entry.original)).toEqual(testFiles);
+            expect(reported).toEqual(testFiles);
+            expect(consoleOutput.filter(line => line.startsWith('Renamed: ')).map(line => line.split(' ')[1])).toEqual(testFiles);
+            const dirName = path.basename(testDir);
+            expect(getRenamedFiles()).toEqual([1, 2, 3, 4, 5].map(number => `${dirName}_0${number}.jpg`));
+            verifyOriginalFilesInLabScans(testFiles);
+        });
+
+        test('should wait for an earlier file to move out of the way before taking its name', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles([`${dirName}_02.jpg`, 'z.jpg']);
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === `${dirName}_02.jpg`) {
+                    await delay(30);
+                }
+                return realRename(from, to);
+            });
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { concurrency: 2 });
+            
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_01.jpg`), 'utf8')).toBe(`Test content for ${dirName}_02.jpg`);
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_02.jpg`), 'utf8')).toBe('Test content for z.jpg');
+        });
+
+        test('should not take the name of an earlier file that could not be renamed', async () => {
+            const dirName = path.basename(testDir);
+            createTestFiles([`${dirName}_02.jpg`, 'z.jpg']);
+            const realRename = fs.promises.rename;
+            jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+                if (path.basename(from) === `${dirName}_02.jpg`) {
+                    throw new Error('EBUSY: resource busy');
+                }
+                return realRename(from, to);
+            });
+            
+            const { failed } = await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { concurrency: 2 });
+            
+            expect(failed.map(entry => entry.error)).toEqual([
+                'EBUSY: resource busy',
+                `${dirName}_02.jpg is still taken by ${dirName}_02.jpg, which could not be renamed`
+            ]);
+            expect(fs.readFileSync(path.join(testDir, `${dirName}_02.jpg`), 'utf8')).toBe(`Test content for ${dirName}_02.jpg`);
+            expect(fs.readFileSync(path.join(testDir, 'z.jpg'), 'utf8')).toBe('Test content for z.jpg');
+        });
+
+        test('should emit progress with bytes and an estimate of the time left', async () => {
+            createTestFiles(['a.jpg', 'b.jpg']);
+            const totalBytes = 'Test content for a.jpg'.length * 2;
+            const emitter = new EventEmitter();
+            const progress = [];
+            emitter.on('progress', event => progress.push(event));
+            
+            await renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { emitter });
+            
+            expect(progress[0]).toEqual({ directory: testDir, files: 0, totalFiles: 2, bytes: 0, totalBytes, eta: null });
+            expect(progress.map(event => event.files)).toEqual([0, 1, 2]);
+            expect(progress[2]).toEqual(expect.objectContaining({ bytes: totalBytes, eta: 0 }));
+        });
+
+        test('should validate the concurrency', async () => {
+            createTestFiles(['a.jpg']);
+            
+            await expect(renameFilesByAlphabeticalOrder(testDir, undefined, [], '', { concurrency: 0 }))
+                .rejects.toThrow('Invalid concurrency "0"');
+            expect(parseArgs(['--concurrency', '8']).options.concurrency).toBe(8);
+            expect(() => parseArgs(['--concurrency', 'two'])).toThrow(UsageError);
+        });
+    });
+
+    describe('Watch mode', () => {
+        const { EventEmitter, once } = require('events');
+        const { watchInbox, parseArgs } = require('./rename-files');
+        let inbox;
+        let watcher;
+
+        beforeEach(() => {
+            inbox = path.join(testDir, 'inbox');
+            fs.mkdirSync(inbox);
+            watcher = null;
+            // The clock only moves when a test moves it, while renaming still does real I/O
+            jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+        });
+
+        afterEach(async () => {
+            if (watcher) {
+                await watcher.close();
+            }
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        function createRoll(roll, filenames) {
+            fs.mkdirSync(path.join(inbox, roll));
+            filenames.forEach(filename => fs.writeFileSync(path.join(inbox, roll, filename), `Test content for ${filename}`));
+        }
+
+        test('should rename a roll once it stops changing and move it to the archive', async () => {
+            createRoll('roll-1', ['b.jpg', 'a.jpg']);
+            const archiveDir = path.join(testDir, 'archive');
+            const emitter = new EventEmitter();
+            
+            watcher = watchInbox(inbox, undefined, [], undefined, { settleTime: 50, pollInterval: 10, archiveDir, emitter });
+            const renamed = once(emitter, 'roll');
+            await jest.advanceTimersByTimeAsync(50);
+            const [result] = await renamed;
+            
+            expect(result).toEqual({ roll: 'roll-1', status: 'renamed', files: 2, error: null, archivedTo: path.join(archiveDir, 'roll-1') });
+            expect(fs.readdirSync(inbox)).toEqual([]);
+            expect(fs.readdirSync(path.join(archiveDir, 'roll-1')).sort()).toEqual(['.rename-manifest.json', 'lab scans', 'roll-1_01.jpg', 'roll-1_02.jpg']);
+            expect(consoleOutput).toContain(`Watch: roll-1 renamed (2 files), moved to ${path.join(archiveDir, 'roll-1')}`);
+            expect(await watcher.close()).toEqual([result]);
+        });
+
+        test('should copy a roll to an archive on another drive and remove it from the inbox', async () => {
+            createRoll('roll-1', ['a.jpg']);
+            const archiveDir = path.join(testDir, 'archive');
+            const realRenameSync = fs.renameSync;
+            jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+                if (from === path.join(inbox, 'roll-1')) {
+                    throw Object.assign(new Error('EXDEV: cross-device link not permitted'), { code: 'EXDEV' });
+                }
+                return realRenameSync(from, to);
+            });
+            const rmdirSync = jest.spyOn(fs, 'rmdirSync');
+            const emitter = new EventEmitter();
+            
+            watcher = watchInbox(inbox, undefined, [], undefined, { settleTime: 50, pollInterval: 10, archiveDir, emitter });
+            const renamed = once(emitter, 'roll');
+            await jest.advanceTimersByTimeAsync(50);
+            const [result] = await renamed;
+            
+            expect(result).toEqual(expect.objectContaining({ status: 'renamed', archivedTo: path.join(archiveDir, 'roll-1') }));
+            expect(fs.readdirSync(inbox)).toEqual([]);
+            expect(fs.readFileSync(path.join(archiveDir, 'roll-1', 'lab scans', 'a.jpg'), 'utf8')).toBe('Test content for a.jpg');
+            expect(rmdirSync).not.toHaveBeenCalledWith(expect.anything(), { recursive: true });
+        });
+
+        test('should wait while files are still landing', async () => {
+            createRoll('roll-1', ['a.jpg']);
+            const emitter = new EventEmitter();
+            const planned = jest.fn();
+            emitter.on('plan', planned);
+            const renamed = once(emitter, 'roll');
+            
+            watcher = watchInbox(inbox, undefined, [], undefined, { settleTime: 100, pollInterval: 10, emitter });
+            for (const filename of ['b.jpg', 'c.jpg', 'd.jpg']) {
+                await jest.advanceTimersByTimeAsync(40);
+                fs.writeFileSync(path.join(inbox, 'roll-1', filename), `Test content for ${filename}`);
+            }
+            // The last file is seen at the next poll, 10 ms after it was written, and the roll has to stay the same from there
+            await jest.advanceTimersByTimeAsync(100);
+            expect(planned).not.toHaveBeenCalled();
+            await jest.advanceTimersByTimeAsync(10);
+            expect(planned).toHaveBeenCalledTimes(1);
+            const [result] = await renamed;
+            
+            expect(result).toEqual(expect.objectContaining({ status: 'renamed', files: 4, archivedTo: null }));
+        });
+
+        test('should use each roll\'s config and not handle a roll twice', async () => {
+            createRoll('roll-1', ['a.jpg']);
+            fs.writeFileSync(path.join(inbox, 'roll-1', '.photorenamerc'), JSON.stringify({ letterSuffix: 'A' }));
+            const emitter = new EventEmitter();
+            const results = [];
+            emitter.on('roll', result => results.push(result));
+            
+            watcher = watchInbox(inbox, undefined, [], undefined, { settleTime: 20, pollInterval: 10, emitter });
+            const renamed = once(emitter, 'roll');
+            await jest.advanceTimersByTimeAsync(20);
+            await renamed;
+            await jest.advanceTimersByTimeAsync(100);
+            
+            expect(results).toHaveLength(1);
+            expect(fs.existsSync(path.join(inbox, 'roll-1', 'roll-1_01A.jpg'))).toBe(true);
+        });
+
+        test('should parse the watch command', () => {
+            expect(parseArgs(['watch', inbox, '--settle', '90', '--archive-to', 'done'])).toEqual(expect.objectContaining({
+                command: 'watch', directoryPath: inbox, settleTime: 90000, archiveDir: 'done'
+            }));
+            expect(() => parseArgs(['watch', '--settle', 'soon'])).toThrow('Invalid settle time "soon"');
+        });
+    });
 });